@@ -0,0 +1,108 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Finds the Manatee client config in the config file of a service that uses
+ * the client, for the command line tools.
+ */
+
+var assert = require('assert-plus');
+var fs = require('fs');
+var vasync = require('vasync');
+var verror = require('verror');
+
+
+/**
+ * Finds the Manatee client config in a parsed config file: anything that has
+ * both 'path' and 'zk' fields.  If there's more than one, the last one found
+ * wins.  Returns null if there isn't one.
+ */
+function findConfig(cfg) {
+    var found = null;
+
+    function rlook(o) {
+        if (o === null || typeof (o) !== 'object') {
+            return;
+        }
+        if (o.path && o.zk) {
+            found = o;
+            return;
+        }
+        Object.keys(o).forEach(function (k) {
+            rlook(o[k]);
+        });
+    }
+    rlook(cfg);
+    return (found);
+}
+
+/**
+ * Reads a config file and finds the Manatee client config in it.
+ *
+ * @param {string} configFile Path of the config file.
+ * @param {function} cb Called with an error, or the Manatee client config.
+ * The error is a ConfigError if the file couldn't be read, isn't JSON or has no
+ * Manatee client config.
+ */
+function readConfig(configFile, cb) {
+    assert.string(configFile, 'configFile');
+    assert.func(cb, 'cb');
+
+    var ctx = {};
+
+    vasync.pipeline({
+        'arg': ctx,
+        'funcs': [
+            function readConfigFile(_, subcb) {
+                fs.readFile(configFile, 'utf8', function (err, str) {
+                    if (err && err.code === 'ENOENT') {
+                        return (subcb(new verror.VError({
+                            name: 'ConfigError'
+                        }, '%s does not exist', configFile)));
+                    } else if (err) {
+                        return (subcb(new verror.VError({
+                            name: 'ConfigError',
+                            cause: err
+                        }, 'error reading %s', configFile)));
+                    }
+                    try {
+                        _.cfg = JSON.parse(str);
+                    } catch (err2) {
+                        return (subcb(new verror.VError({
+                            name: 'ConfigError',
+                            cause: err2
+                        }, 'error parsing %s', configFile)));
+                    }
+                    return (subcb());
+                });
+            },
+            function findManateeConfig(_, subcb) {
+                _.manateeCfg = findConfig(_.cfg);
+                if (!_.manateeCfg) {
+                    return (subcb(new verror.VError({
+                        name: 'ConfigError'
+                    }, '%s did not have manatee config', configFile)));
+                }
+                return (subcb());
+            }
+        ]
+    }, function (err) {
+        if (err) {
+            return (cb(err));
+        }
+        return (cb(null, ctx.manateeCfg));
+    });
+}
+
+
+module.exports = {
+    findConfig: findConfig,
+    readConfig: readConfig
+};
@@ -0,0 +1,726 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * An in-process fake of a zookeeper ensemble, for testing code that consumes
+ * the Manatee client without a real zookeeper.  The fake implements the parts
+ * of the joyent-zookeeper-client API the client uses (getData, getChildren and
+ * exists, with one-shot watches, and the session events), as well as create,
+ * remove, setData and mkdirp so tests can manipulate the tree directly.
+ *
+ * Clients are created with FakeZk#createClient, which has the same signature
+ * as zkClient.createClient, so the fake can be passed as the `module` in the
+ * Manatee client's zk options:
+ *
+ *     var zk = fakezk.createFakeZk();
+ *     var client = manatee.createClient({
+ *         path: '/manatee/1',
+ *         zk: { connStr: 'fake', module: zk }
+ *     });
+ *     zk.addElectionNode('/manatee/1', '10.0.0.1:5432:12345:12222');
+ *     zk.setClusterState('/manatee/1', { generation: 1, ... });
+ *     zk.expireSession();
+ */
+
+var assert = require('assert-plus');
+var util = require('util');
+var zkClient = require('joyent-zookeeper-client');
+
+var EventEmitter = require('events').EventEmitter;
+
+var CreateMode = zkClient.CreateMode;
+var Event = zkClient.Event;
+var Exception = zkClient.Exception;
+
+/**
+ * Election and other nodes created through the helpers belong to this session,
+ * which is never expired, as they'd belong to the Manatee sitters.
+ */
+var SERVER_SESSION = 'fake-sitter';
+
+function parentOf(path) {
+    var i = path.lastIndexOf('/');
+    return (i === 0 ? '/' : path.substring(0, i));
+}
+
+function nameOf(path) {
+    return (path.substring(path.lastIndexOf('/') + 1));
+}
+
+function join(parent, name) {
+    return (parent === '/' ? '/' + name : parent + '/' + name);
+}
+
+function pad(n) {
+    var s = String(n);
+    while (s.length < 10) {
+        s = '0' + s;
+    }
+    return (s);
+}
+
+
+/**
+ * Create a fake zookeeper ensemble.
+ *
+ * @constructor
+ */
+function FakeZk() {
+    /** @type {Object} Path to node, starting with just the root */
+    this._nodes = {};
+    this._nodes['/'] = this._newNode(null, null);
+    /** @type {Object} Path to the list of pending data/exists watches */
+    this._dataWatches = {};
+    /** @type {Object} Path to the list of pending children watches */
+    this._childWatches = {};
+    this._clients = [];
+    this._available = true;
+    this._nextSessionId = 1;
+    /** @type {number} How many more requests to fail */
+    this._failures = 0;
+    /** @type {Object} Path to the auth needed to read it and its children */
+    this._acls = {};
+}
+
+/**
+ * Creates a client, with the same signature as zkClient.createClient.
+ */
+FakeZk.prototype.createClient = function createClient(connStr, opts) {
+    return (new FakeZkClient(this, connStr, opts));
+};
+
+/**
+ * Drops the connection of every client.  Clients won't connect again until
+ * reconnect is called, and their requests are queued until then.
+ */
+FakeZk.prototype.disconnect = function disconnect() {
+    this._available = false;
+    this._clients.forEach(function (c) {
+        if (c._state === 'connected') {
+            c._setState('disconnected');
+        }
+    });
+};
+
+/**
+ * Lets clients connect again, after disconnect.
+ */
+FakeZk.prototype.reconnect = function reconnect() {
+    var self = this;
+    self._available = true;
+    self._clients.slice().forEach(function (c) {
+        self._connect(c);
+    });
+};
+
+/**
+ * Expires the session of every client.  Ephemeral nodes owned by the sessions
+ * are removed, and the clients have to be replaced to continue.
+ */
+FakeZk.prototype.expireSession = function expireSession() {
+    var self = this;
+    self._clients.slice().forEach(function (c) {
+        if (c._sessionId !== null) {
+            self._expireEphemerals(c._sessionId);
+        }
+        c._expire();
+    });
+    self._clients = [];
+};
+
+/**
+ * Fails the next count requests from any client with a connection loss, as if
+ * the server had dropped them.  Pass Infinity to fail every request, and 0 to
+ * stop failing them.
+ */
+FakeZk.prototype.failRequests = function failRequests(count) {
+    assert.number(count, 'count');
+    this._failures = count;
+};
+
+/**
+ * Only lets clients that have added the given auth read the data or children
+ * of the node at path and those under it, as if it had a digest ACL.  Other
+ * clients get a NO_AUTH error.  Clients that add auth with a scheme other than
+ * digest fail to authenticate when they connect.
+ */
+FakeZk.prototype.requireAuth = function requireAuth(path, scheme,
+    credentials) {
+    assert.string(path, 'path');
+    assert.string(scheme, 'scheme');
+    assert.string(credentials, 'credentials');
+    this._acls[path] = scheme + ':' + credentials;
+};
+
+/**
+ * Sets the cluster state of the shard, creating the shard if need be.  A null
+ * state removes the cluster state.
+ */
+FakeZk.prototype.setClusterState = function setClusterState(shardPath, state) {
+    assert.string(shardPath, 'shardPath');
+    assert.optionalObject(state, 'state');
+
+    var path = join(shardPath, 'state');
+    this._mkdirp(shardPath);
+    if (state === null || state === undefined) {
+        if (this._nodes[path]) {
+            this._remove(path);
+        }
+        return;
+    }
+
+    var data = new Buffer(JSON.stringify(state));
+    if (this._nodes[path]) {
+        this._setData(path, data);
+    } else {
+        this._create(path, data, CreateMode.PERSISTENT, SERVER_SESSION);
+    }
+};
+
+/**
+ * Returns the parsed cluster state of the shard, or null.
+ */
+FakeZk.prototype.getClusterState = function getClusterState(shardPath) {
+    var node = this._nodes[join(shardPath, 'state')];
+    return (node ? JSON.parse(node.data.toString('utf8')) : null);
+};
+
+/**
+ * Adds an ephemeral sequential node to the election of the shard, as a sitter
+ * would, and returns the name of the node.
+ *
+ * @param {string} shardPath ZK path of the shard.
+ * @param {string} id The peer id, e.g. 10.77.77.9:5432:12345:12222, or just
+ * the ip for legacy peers.
+ */
+FakeZk.prototype.addElectionNode = function addElectionNode(shardPath, id) {
+    assert.string(shardPath, 'shardPath');
+    assert.string(id, 'id');
+
+    var electionPath = join(shardPath, 'election');
+    this._mkdirp(electionPath);
+    var path = this._create(join(electionPath, id + '-'), null,
+        CreateMode.EPHEMERAL_SEQUENTIAL, SERVER_SESSION);
+    return (nameOf(path));
+};
+
+/**
+ * Removes a node from the election of the shard, as if the sitter went away.
+ *
+ * @param {string} shardPath ZK path of the shard.
+ * @param {string} name The name of the node, or the id it was added with.
+ */
+FakeZk.prototype.removeElectionNode = function removeElectionNode(shardPath,
+    name) {
+    assert.string(shardPath, 'shardPath');
+    assert.string(name, 'name');
+
+    var electionPath = join(shardPath, 'election');
+    var parent = this._nodes[electionPath];
+    var children = parent ? Object.keys(parent.children) : [];
+    var found = children.filter(function (c) {
+        return (c === name || c.substring(0, c.lastIndexOf('-')) === name);
+    });
+    if (found.length === 0) {
+        throw (Exception.create(Exception.NO_NODE, join(electionPath, name)));
+    }
+    this._remove(join(electionPath, found[0]));
+};
+
+/**
+ * Returns the names of the nodes in the election of the shard.
+ */
+FakeZk.prototype.getElectionNodes = function getElectionNodes(shardPath) {
+    var node = this._nodes[join(shardPath, 'election')];
+    return (node ? Object.keys(node.children).sort() : []);
+};
+
+/**
+ * #@+
+ * @private
+ * @memberOf FakeZk
+ */
+
+FakeZk.prototype._newNode = function newNode(data, owner) {
+    var now = Date.now();
+    return ({
+        data: data,
+        version: 0,
+        cversion: 0,
+        ctime: now,
+        mtime: now,
+        ephemeralOwner: owner,
+        children: {},
+        sequence: 0
+    });
+};
+
+FakeZk.prototype._stat = function stat(path) {
+    var node = this._nodes[path];
+    return ({
+        version: node.version,
+        cversion: node.cversion,
+        ctime: node.ctime,
+        mtime: node.mtime,
+        ephemeralOwner: node.ephemeralOwner,
+        dataLength: node.data ? node.data.length : 0,
+        numChildren: Object.keys(node.children).length
+    });
+};
+
+FakeZk.prototype._connect = function connect(client) {
+    var self = this;
+
+    if (self._clients.indexOf(client) === -1) {
+        self._clients.push(client);
+    }
+    if (!self._available || client._state !== 'disconnected') {
+        return;
+    }
+    process.nextTick(function () {
+        if (!self._available || client._state !== 'disconnected') {
+            return;
+        }
+        var rejected = client._authInfo.some(function (a) {
+            return (a.scheme !== 'digest');
+        });
+        if (rejected) {
+            client._setState('authenticationFailed');
+            return;
+        }
+        if (client._sessionId === null) {
+            client._sessionId = 'fake-' + self._nextSessionId++;
+        }
+        client._setState('connected');
+    });
+};
+
+/**
+ * Throws NO_AUTH if the client can't read the node at path.
+ */
+FakeZk.prototype._checkAuth = function checkAuth(client, path) {
+    var p = path;
+    for (;;) {
+        var acl = this._acls[p];
+        if (acl && !client._authInfo.some(function (a) {
+            return (a.scheme + ':' + a.auth.toString() === acl);
+        })) {
+            throw (Exception.create(Exception.NO_AUTH, path));
+        }
+        if (p === '/') {
+            return;
+        }
+        p = parentOf(p);
+    }
+};
+
+FakeZk.prototype._disconnect = function disconnect(client) {
+    var i = this._clients.indexOf(client);
+    if (i !== -1) {
+        this._clients.splice(i, 1);
+    }
+    if (client._sessionId !== null) {
+        this._expireEphemerals(client._sessionId);
+    }
+    this._dropWatches(client);
+};
+
+FakeZk.prototype._dropWatches = function dropWatches(client) {
+    [this._dataWatches, this._childWatches].forEach(function (watches) {
+        Object.keys(watches).forEach(function (p) {
+            watches[p] = watches[p].filter(function (w) {
+                return (w.client !== client);
+            });
+        });
+    });
+};
+
+FakeZk.prototype._expireEphemerals = function expireEphemerals(sessionId) {
+    var self = this;
+    Object.keys(self._nodes).filter(function (p) {
+        return (self._nodes[p].ephemeralOwner === sessionId);
+    }).forEach(function (p) {
+        self._remove(p);
+    });
+};
+
+FakeZk.prototype._watch = function watch(watches, path, client, fn) {
+    if (!watches[path]) {
+        watches[path] = [];
+    }
+    watches[path].push({ client: client, fn: fn });
+};
+
+FakeZk.prototype._fire = function fire(watches, path, type) {
+    var pending = watches[path] || [];
+    delete watches[path];
+    pending.forEach(function (w) {
+        w.client._deliver(w.fn, Event.create({ type: type, path: path }));
+    });
+};
+
+FakeZk.prototype._create = function create(path, data, mode, owner) {
+    var parentPath = parentOf(path);
+    var parent = this._nodes[parentPath];
+
+    if (!parent) {
+        throw (Exception.create(Exception.NO_NODE, path));
+    }
+    if (parent.ephemeralOwner !== null) {
+        throw (Exception.create(Exception.NO_CHILDREN_FOR_EPHEMERALS, path));
+    }
+    if (mode === CreateMode.PERSISTENT_SEQUENTIAL ||
+        mode === CreateMode.EPHEMERAL_SEQUENTIAL) {
+        path += pad(parent.sequence);
+    }
+    parent.sequence++;
+    if (this._nodes[path]) {
+        throw (Exception.create(Exception.NODE_EXISTS, path));
+    }
+
+    var ephemeral = (mode === CreateMode.EPHEMERAL ||
+        mode === CreateMode.EPHEMERAL_SEQUENTIAL);
+    this._nodes[path] = this._newNode(data || null,
+        ephemeral ? owner : null);
+    parent.children[nameOf(path)] = true;
+    parent.cversion++;
+
+    this._fire(this._dataWatches, path, Event.NODE_CREATED);
+    this._fire(this._childWatches, parentPath, Event.NODE_CHILDREN_CHANGED);
+    return (path);
+};
+
+FakeZk.prototype._remove = function remove(path, version) {
+    var node = this._nodes[path];
+
+    if (!node || path === '/') {
+        throw (Exception.create(Exception.NO_NODE, path));
+    }
+    if (version !== undefined && version !== -1 && version !== node.version) {
+        throw (Exception.create(Exception.BAD_VERSION, path));
+    }
+    if (Object.keys(node.children).length > 0) {
+        throw (Exception.create(Exception.NOT_EMPTY, path));
+    }
+
+    var parentPath = parentOf(path);
+    var parent = this._nodes[parentPath];
+    delete this._nodes[path];
+    delete parent.children[nameOf(path)];
+    parent.cversion++;
+
+    this._fire(this._dataWatches, path, Event.NODE_DELETED);
+    this._fire(this._childWatches, path, Event.NODE_DELETED);
+    this._fire(this._childWatches, parentPath, Event.NODE_CHILDREN_CHANGED);
+};
+
+FakeZk.prototype._setData = function setData(path, data, version) {
+    var node = this._nodes[path];
+
+    if (!node) {
+        throw (Exception.create(Exception.NO_NODE, path));
+    }
+    if (version !== undefined && version !== -1 && version !== node.version) {
+        throw (Exception.create(Exception.BAD_VERSION, path));
+    }
+
+    node.data = data || null;
+    node.version++;
+    node.mtime = Date.now();
+
+    this._fire(this._dataWatches, path, Event.NODE_DATA_CHANGED);
+};
+
+FakeZk.prototype._mkdirp = function mkdirp(path) {
+    var self = this;
+    var current = '';
+
+    path.split('/').filter(function (p) {
+        return (p.length > 0);
+    }).forEach(function (p) {
+        current += '/' + p;
+        if (!self._nodes[current]) {
+            self._create(current, null, CreateMode.PERSISTENT, null);
+        }
+    });
+};
+
+
+/**
+ * A client of the fake ensemble.  Requests made while the client isn't
+ * connected are queued until it connects, as with the real client.
+ *
+ * @constructor
+ * @augments EventEmitter
+ */
+function FakeZkClient(server, connStr, opts) {
+    EventEmitter.call(this);
+
+    this._server = server;
+    this._connStr = connStr;
+    this._opts = opts || {};
+    this._sessionId = null;
+    /**
+     * @type {string} disconnected, connected, authenticationFailed, expired
+     * or closed
+     */
+    this._state = 'disconnected';
+    /** @type {Function[]} Requests and watch events waiting on a connection */
+    this._pending = [];
+    this._authInfo = [];
+}
+util.inherits(FakeZkClient, EventEmitter);
+
+FakeZkClient.prototype.connect = function connect() {
+    this._server._connect(this);
+};
+
+FakeZkClient.prototype.close = function close() {
+    if (this._state === 'closed') {
+        return;
+    }
+    this._state = 'closed';
+    this._pending = [];
+    this._server._disconnect(this);
+};
+
+FakeZkClient.prototype.getSessionId = function getSessionId() {
+    return (this._sessionId);
+};
+
+FakeZkClient.prototype.getState = function getState() {
+    return (this._state);
+};
+
+FakeZkClient.prototype.addAuthInfo = function addAuthInfo(scheme, auth) {
+    this._authInfo.push({ scheme: scheme, auth: auth });
+};
+
+FakeZkClient.prototype.create = function create(path) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    var cb = args.pop();
+    var data = null;
+    var mode = CreateMode.PERSISTENT;
+    var self = this;
+
+    args.forEach(function (a) {
+        if (Buffer.isBuffer(a)) {
+            data = a;
+        } else if (typeof (a) === 'number') {
+            mode = a;
+        }
+    });
+
+    self._request(cb, function () {
+        return ([self._server._create(path, data, mode, self._sessionId)]);
+    });
+};
+
+FakeZkClient.prototype.remove = function remove(path, version, cb) {
+    var self = this;
+    if (typeof (version) === 'function') {
+        cb = version;
+        version = -1;
+    }
+    self._request(cb, function () {
+        self._server._remove(path, version);
+        return ([]);
+    });
+};
+
+FakeZkClient.prototype.setData = function setData(path, data, version, cb) {
+    var self = this;
+    if (typeof (version) === 'function') {
+        cb = version;
+        version = -1;
+    }
+    self._request(cb, function () {
+        self._server._setData(path, data, version);
+        return ([self._server._stat(path)]);
+    });
+};
+
+FakeZkClient.prototype.getData = function getData(path, watcher, cb) {
+    var self = this;
+    var server = self._server;
+    if (!cb) {
+        cb = watcher;
+        watcher = null;
+    }
+    self._request(cb, function () {
+        var node = server._nodes[path];
+        if (!node) {
+            throw (Exception.create(Exception.NO_NODE, path));
+        }
+        server._checkAuth(self, path);
+        if (watcher) {
+            server._watch(server._dataWatches, path, self, watcher);
+        }
+        return ([node.data, server._stat(path)]);
+    });
+};
+
+FakeZkClient.prototype.exists = function exists(path, watcher, cb) {
+    var self = this;
+    var server = self._server;
+    if (!cb) {
+        cb = watcher;
+        watcher = null;
+    }
+    self._request(cb, function () {
+        if (watcher) {
+            server._watch(server._dataWatches, path, self, watcher);
+        }
+        return ([server._nodes[path] ? server._stat(path) : null]);
+    });
+};
+
+FakeZkClient.prototype.getChildren = function getChildren(path, watcher, cb) {
+    var self = this;
+    var server = self._server;
+    if (!cb) {
+        cb = watcher;
+        watcher = null;
+    }
+    self._request(cb, function () {
+        var node = server._nodes[path];
+        if (!node) {
+            throw (Exception.create(Exception.NO_NODE, path));
+        }
+        server._checkAuth(self, path);
+        if (watcher) {
+            server._watch(server._childWatches, path, self, watcher);
+        }
+        return ([Object.keys(node.children), server._stat(path)]);
+    });
+};
+
+FakeZkClient.prototype.mkdirp = function mkdirp(path) {
+    var self = this;
+    var cb = arguments[arguments.length - 1];
+    self._request(cb, function () {
+        self._server._mkdirp(path);
+        return ([path]);
+    });
+};
+
+/**
+ * #@+
+ * @private
+ * @memberOf FakeZkClient
+ */
+
+FakeZkClient.prototype._setState = function setState(state) {
+    this._state = state;
+    this.emit('state', state);
+    this.emit(state);
+    var pending = this._pending;
+    if (state === 'connected') {
+        this._pending = [];
+        pending.forEach(function (p) {
+            p();
+        });
+    } else if (state === 'authenticationFailed') {
+        this._pending = [];
+        pending.forEach(function (p) {
+            p(Exception.create(Exception.AUTH_FAILED));
+        });
+    }
+};
+
+FakeZkClient.prototype._expire = function expire() {
+    if (this._state === 'closed' || this._state === 'expired') {
+        return;
+    }
+    var pending = this._pending;
+    this._pending = [];
+    this._state = 'expired';
+    this._server._dropWatches(this);
+    pending.forEach(function (p) {
+        p(Exception.create(Exception.SESSION_EXPIRED));
+    });
+    this.emit('state', 'expired');
+    this.emit('expired');
+};
+
+/**
+ * Runs a request against the tree once connected, and calls back with the
+ * error thrown or the array of results returned by the request.
+ */
+FakeZkClient.prototype._request = function request(cb, func) {
+    var self = this;
+
+    function run(err) {
+        if (err) {
+            return (cb(err));
+        }
+        if (self._server._failures > 0) {
+            self._server._failures--;
+            return (cb(Exception.create(Exception.CONNECTION_LOSS)));
+        }
+        var res;
+        try {
+            res = func();
+        } catch (e) {
+            return (cb(e));
+        }
+        return (cb.apply(null, [null].concat(res)));
+    }
+
+    if (self._state === 'authenticationFailed') {
+        process.nextTick(cb.bind(null,
+            Exception.create(Exception.AUTH_FAILED)));
+        return;
+    }
+    if (self._state === 'closed' || self._state === 'expired') {
+        var err = Exception.create(self._state === 'closed' ?
+            Exception.CONNECTION_LOSS : Exception.SESSION_EXPIRED);
+        process.nextTick(cb.bind(null, err));
+        return;
+    }
+    self._pending.push(run);
+    if (self._state === 'connected') {
+        self._flush();
+    }
+};
+
+FakeZkClient.prototype._deliver = function deliver(fn, event) {
+    var self = this;
+    self._pending.push(function (err) {
+        if (!err) {
+            fn(event);
+        }
+    });
+    if (self._state === 'connected') {
+        self._flush();
+    }
+};
+
+FakeZkClient.prototype._flush = function flush() {
+    var self = this;
+    process.nextTick(function () {
+        if (self._state !== 'connected') {
+            return;
+        }
+        var pending = self._pending;
+        self._pending = [];
+        pending.forEach(function (p) {
+            p();
+        });
+    });
+};
+
+
+module.exports = {
+    createFakeZk: function createFakeZk() {
+        return (new FakeZk());
+    },
+    FakeZk: FakeZk
+};
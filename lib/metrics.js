@@ -0,0 +1,232 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Counters and gauges kept by the Manatee client and resolvers, and a
+ * formatter for the Prometheus text exposition format.  Every metric the
+ * clients keep is described in METRICS, which is where the Prometheus help
+ * text comes from.
+ */
+
+var assert = require('assert-plus');
+
+/**
+ * The metrics kept by the clients.  Counters only go up, and are exported
+ * with a _total suffix.  Gauges with a label are exported as a series with the
+ * current value as that label, set to 1.
+ */
+var METRICS = {
+    'topology_changes': {
+        type: 'counter',
+        help: 'Topology changes emitted by the client'
+    },
+    'primary_changes': {
+        type: 'counter',
+        help: 'Topology changes with a different primary'
+    },
+    'zk_connects': {
+        type: 'counter',
+        help: 'Connections and reconnections to zookeeper'
+    },
+    'zk_disconnects': {
+        type: 'counter',
+        help: 'Connections to zookeeper dropped'
+    },
+    'zk_expirations': {
+        type: 'counter',
+        help: 'Zookeeper sessions expired'
+    },
+    'watch_registrations': {
+        type: 'counter',
+        help: 'Zookeeper watches registered or re-registered'
+    },
+    'watch_errors': {
+        type: 'counter',
+        help: 'Zookeeper reads by watches that failed'
+    },
+    'errors': {
+        type: 'counter',
+        help: 'Errors emitted by the client'
+    },
+    'peers': {
+        type: 'gauge',
+        help: 'Peers in the current topology'
+    },
+    'stale': {
+        type: 'gauge',
+        help: '1 if the topology can\'t currently be confirmed, otherwise 0'
+    },
+    'seconds_since_confirmed': {
+        type: 'gauge',
+        help: 'Seconds since the topology was last confirmed'
+    },
+    'resolver_state': {
+        type: 'gauge',
+        help: 'Current state of the resolver',
+        label: 'state'
+    },
+    'resolver_backends': {
+        type: 'gauge',
+        help: 'Backends currently offered by the resolver'
+    },
+    'resolver_added': {
+        type: 'counter',
+        help: 'Backends added by the resolver'
+    },
+    'resolver_removed': {
+        type: 'counter',
+        help: 'Backends removed by the resolver'
+    },
+    'resolver_failures': {
+        type: 'counter',
+        help: 'Times the resolver failed and had to start again'
+    }
+};
+
+
+/**
+ * A set of counters and gauges.  Gauges are functions, so that they're read
+ * when the metrics are.
+ *
+ * @constructor
+ */
+function Metrics() {
+    var self = this;
+
+    /**
+     * @type {Object} Counter name to its value.  Every counter starts at 0,
+     * so that it's exported before the first time it goes up.
+     */
+    self._counters = {};
+    Object.keys(METRICS).forEach(function (name) {
+        if (METRICS[name].type === 'counter') {
+            self._counters[name] = 0;
+        }
+    });
+    /** @type {Object} Gauge name to the function that reads it */
+    self._gauges = {};
+}
+
+/**
+ * Adds to a counter, by 1 if no value is given.
+ */
+Metrics.prototype.increment = function increment(name, value) {
+    assert.ok(METRICS[name] && METRICS[name].type === 'counter',
+        'unknown counter: ' + name);
+    this._counters[name] += (value === undefined ? 1 : value);
+};
+
+/**
+ * Sets the function that reads a gauge, replacing any earlier one.  The
+ * function returns the value, or null if there isn't one.
+ */
+Metrics.prototype.gauge = function gauge(name, func) {
+    assert.ok(METRICS[name] && METRICS[name].type === 'gauge',
+        'unknown gauge: ' + name);
+    assert.func(func, 'func');
+    this._gauges[name] = func;
+};
+
+/**
+ * Returns the current value of every counter and gauge, e.g.
+ * {counters: {zk_connects: 1, ...}, gauges: {stale: 0, ...}}.
+ */
+Metrics.prototype.snapshot = function snapshot() {
+    var self = this;
+    var counters = {};
+    var gauges = {};
+
+    Object.keys(self._counters).forEach(function (name) {
+        counters[name] = self._counters[name];
+    });
+    Object.keys(self._gauges).forEach(function (name) {
+        gauges[name] = self._gauges[name]();
+    });
+    return ({ counters: counters, gauges: gauges });
+};
+
+
+function formatLabels(labels) {
+    var names = Object.keys(labels);
+    if (names.length === 0) {
+        return ('');
+    }
+    return ('{' + names.map(function (n) {
+        var v = String(labels[n]).replace(/\\/g, '\\\\').
+            replace(/\n/g, '\\n').replace(/"/g, '\\"');
+        return (n + '="' + v + '"');
+    }).join(',') + '}');
+}
+
+/**
+ * Formats metrics in the Prometheus text exposition format.
+ *
+ * @param {Object|Object[]} entries A snapshot, as returned by getMetrics(), or
+ * an array of {metrics: snapshot, labels: {name: value}}, for example one per
+ * shard, labelled with the shard name.
+ * @param {object} [options] Options.
+ * @param {string} [options.prefix] Prefix for the metric names.  Defaults to
+ * 'manatee_'.
+ * @return {string} The metrics, one line per sample.
+ */
+function formatPrometheus(entries, options) {
+    if (!Array.isArray(entries)) {
+        entries = [ { metrics: entries } ];
+    }
+    assert.arrayOfObject(entries, 'entries');
+    options = options || {};
+    assert.object(options, 'options');
+    assert.optionalString(options.prefix, 'options.prefix');
+    var prefix = options.prefix !== undefined ? options.prefix : 'manatee_';
+    var lines = [];
+
+    Object.keys(METRICS).forEach(function (name) {
+        var def = METRICS[name];
+        var counter = def.type === 'counter';
+        var full = prefix + name + (counter ? '_total' : '');
+        var samples = [];
+
+        entries.forEach(function (e) {
+            assert.object(e.metrics, 'entry.metrics');
+            var value = counter ? e.metrics.counters[name] :
+                e.metrics.gauges[name];
+            if (value === undefined || value === null) {
+                return;
+            }
+            var labels = {};
+            Object.keys(e.labels || {}).forEach(function (l) {
+                labels[l] = e.labels[l];
+            });
+            if (def.label) {
+                labels[def.label] = value;
+                value = 1;
+            } else if (typeof (value) === 'boolean') {
+                value = value ? 1 : 0;
+            }
+            samples.push(full + formatLabels(labels) + ' ' + value);
+        });
+
+        if (samples.length === 0) {
+            return;
+        }
+        lines.push('# HELP ' + full + ' ' + def.help);
+        lines.push('# TYPE ' + full + ' ' + def.type);
+        Array.prototype.push.apply(lines, samples);
+    });
+
+    return (lines.length === 0 ? '' : lines.join('\n') + '\n');
+}
+
+
+module.exports = {
+    formatPrometheus: formatPrometheus,
+    Metrics: Metrics,
+    METRICS: METRICS
+};
@@ -0,0 +1,178 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Topology sources other than zookeeper.  A source is an EventEmitter with
+ * start() and close() methods, which emits `state` with the contents of a
+ * cluster state document (the same format as the shard's /state node in
+ * zookeeper), or null if there is no cluster state, each time it changes.  It
+ * emits `error` if the state can't be read.
+ */
+
+var assert = require('assert-plus');
+var fs = require('fs');
+var util = require('util');
+
+var EventEmitter = require('events').EventEmitter;
+
+
+/**
+ * A cluster state read from a JSON file on disk, which is watched for changes.
+ *
+ * @constructor
+ * @augments EventEmitter
+ *
+ * @param {object} options Source options.
+ * @param {Bunyan} options.log Bunyan logger.
+ * @param {string} options.path Path of the cluster state file.
+ * @param {number} [options.interval] How often to check the file for changes,
+ * in milliseconds.  Defaults to 1000.
+ */
+function FileSource(options) {
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+    assert.string(options.path, 'options.path');
+    assert.optionalNumber(options.interval, 'options.interval');
+
+    EventEmitter.call(this);
+
+    this._log = options.log;
+    this._path = options.path;
+    this._interval = options.interval || 1000;
+    this._data = null;
+    this._watching = false;
+    this._closed = false;
+}
+util.inherits(FileSource, EventEmitter);
+
+FileSource.prototype.start = function start() {
+    var self = this;
+
+    self._read(true);
+    fs.watchFile(self._path, {
+        interval: self._interval
+    }, function onChange() {
+        self._read(false);
+    });
+    self._watching = true;
+};
+
+FileSource.prototype.close = function close() {
+    this._closed = true;
+    if (this._watching) {
+        fs.unwatchFile(this._path);
+        this._watching = false;
+    }
+};
+
+FileSource.prototype._read = function read(initial) {
+    var self = this;
+    var log = self._log;
+
+    fs.readFile(self._path, 'utf8', function (err, data) {
+        if (self._closed) {
+            return;
+        }
+        if (err && err.code === 'ENOENT') {
+            data = null;
+        } else if (err) {
+            log.warn({err: err, path: self._path},
+                'error reading cluster state file');
+            self.emit('error', err);
+            return;
+        }
+
+        if (!initial && data === self._data) {
+            return;
+        }
+        log.debug({path: self._path}, 'cluster state file changed');
+        self._data = data;
+        self.emit('state', data);
+    });
+};
+
+
+/**
+ * A fixed topology, given as an ordered array of Postgres URLs in the same
+ * form as the topology event: primary, sync, then asyncs.
+ *
+ * @constructor
+ * @augments EventEmitter
+ *
+ * @param {object} options Source options.
+ * @param {string[]} options.urls Postgres URLs of the peers.
+ */
+function StaticSource(options) {
+    assert.object(options, 'options');
+    assert.arrayOfString(options.urls, 'options.urls');
+
+    EventEmitter.call(this);
+
+    this._urls = options.urls.slice();
+    this._closed = false;
+}
+util.inherits(StaticSource, EventEmitter);
+
+StaticSource.prototype.start = function start() {
+    var self = this;
+    var urls = self._urls;
+    var state = {
+        primary: urls[0] ? { pgUrl: urls[0] } : null,
+        sync: urls[1] ? { pgUrl: urls[1] } : null,
+        async: urls.slice(2).map(function (u) {
+            return ({ pgUrl: u });
+        })
+    };
+
+    process.nextTick(function () {
+        if (!self._closed) {
+            self.emit('state', JSON.stringify(state));
+        }
+    });
+};
+
+StaticSource.prototype.close = function close() {
+    this._closed = true;
+};
+
+
+/**
+ * Creates the source described by the Manatee client's source options, or
+ * returns the given object if it is already a source.
+ */
+function createSource(options, log) {
+    assert.object(options, 'options');
+
+    if (typeof (options.start) === 'function') {
+        return (options);
+    }
+
+    switch (options.type) {
+    case 'file':
+        return (new FileSource({
+            log: log,
+            path: options.path,
+            interval: options.interval
+        }));
+    case 'static':
+        return (new StaticSource({
+            urls: options.urls
+        }));
+    default:
+        throw (new Error('unknown topology source type: ' + options.type));
+    }
+}
+
+
+module.exports = {
+    createSource: createSource,
+    FileSource: FileSource,
+    StaticSource: StaticSource
+};
@@ -0,0 +1,197 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * A small HTTP server that serves the status of the Manatee clients and
+ * resolvers in a process as JSON, so that operators can see what a service
+ * thinks the topology is.  Routes:
+ *
+ *     GET /                   {shards: [name, ...], resolvers: [name, ...]}
+ *     GET /shards/:name       the status of a client, see Manatee#getStatus
+ *     GET /resolvers/:name    the status of a resolver
+ */
+
+var assert = require('assert-plus');
+var http = require('http');
+var verror = require('verror');
+
+
+/**
+ * @constructor
+ *
+ * @param {object} options Server options.
+ * @param {Bunyan} options.log Bunyan logger.
+ * @param {number} [options.port] Port to listen on.  Defaults to 0, for any
+ * free port.
+ * @param {string} [options.host] Address to listen on.  Defaults to
+ * 127.0.0.1, since the status isn't meant to be public.
+ */
+function StatusServer(options) {
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+    assert.optionalNumber(options.port, 'options.port');
+    assert.optionalString(options.host, 'options.host');
+
+    var self = this;
+
+    this._log = options.log;
+    this._port = options.port !== undefined ? options.port : 0;
+    this._host = options.host || '127.0.0.1';
+    /** @type {Object} Shard name to its client */
+    this._shards = {};
+    /** @type {Object} Resolver name to the resolver */
+    this._resolvers = {};
+    this._server = http.createServer(function (req, res) {
+        self._handle(req, res);
+    });
+
+    this.__defineGetter__('address', function address() {
+        return (self._server.address());
+    });
+}
+
+/**
+ * Starts listening.  cb is called with an error if the server couldn't
+ * listen.
+ */
+StatusServer.prototype.listen = function listen(cb) {
+    var self = this;
+    assert.func(cb, 'cb');
+
+    function onError(err) {
+        self._server.removeListener('listening', onListening);
+        cb(err);
+    }
+    function onListening() {
+        self._server.removeListener('error', onError);
+        self._log.info(self._server.address(), 'status server listening');
+        cb();
+    }
+    self._server.once('error', onError);
+    self._server.once('listening', onListening);
+    self._server.listen(self._port, self._host);
+};
+
+/**
+ * Stops listening, and calls back once open connections have finished.
+ */
+StatusServer.prototype.close = function close(cb) {
+    assert.optionalFunc(cb, 'cb');
+    this._server.close(function () {
+        if (cb) {
+            cb();
+        }
+    });
+};
+
+/**
+ * Serves the status of a client at /shards/:name, replacing any client
+ * already served under that name.
+ */
+StatusServer.prototype.addShard = function addShard(name, client) {
+    assert.string(name, 'name');
+    assert.object(client, 'client');
+    this._shards[name] = client;
+};
+
+StatusServer.prototype.removeShard = function removeShard(name) {
+    delete this._shards[name];
+};
+
+/**
+ * Serves the status of a resolver at /resolvers/:name, replacing any resolver
+ * already served under that name.
+ */
+StatusServer.prototype.addResolver = function addResolver(name, resolver) {
+    assert.string(name, 'name');
+    assert.object(resolver, 'resolver');
+    this._resolvers[name] = resolver;
+};
+
+StatusServer.prototype.removeResolver = function removeResolver(name) {
+    delete this._resolvers[name];
+};
+
+StatusServer.prototype._handle = function handle(req, res) {
+    var self = this;
+
+    function send(code, body) {
+        var data = JSON.stringify(body, null, 2) + '\n';
+        res.writeHead(code, {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(data)
+        });
+        res.end(data);
+    }
+
+    if (req.method !== 'GET') {
+        return (send(405, { error: 'only GET is supported' }));
+    }
+
+    var parts = req.url.split('?')[0].split('/').filter(function (p) {
+        return (p.length > 0);
+    }).map(function (p) {
+        try {
+            return (decodeURIComponent(p));
+        } catch (e) {
+            return (p);
+        }
+    });
+
+    if (parts.length === 0) {
+        return (send(200, {
+            shards: Object.keys(self._shards).sort(),
+            resolvers: Object.keys(self._resolvers).sort()
+        }));
+    }
+
+    var found = null;
+    if (parts.length === 2 && parts[0] === 'shards' &&
+        self._shards.hasOwnProperty(parts[1])) {
+        found = self._shards[parts[1]];
+    } else if (parts.length === 2 && parts[0] === 'resolvers' &&
+        self._resolvers.hasOwnProperty(parts[1])) {
+        found = self._resolvers[parts[1]];
+    }
+    if (found === null) {
+        return (send(404, { error: 'not found: ' + req.url }));
+    }
+
+    var status;
+    try {
+        status = found.getStatus();
+    } catch (err) {
+        self._log.error({err: err, url: req.url}, 'error getting status');
+        return (send(500, { error: err.message }));
+    }
+    return (send(200, status));
+};
+
+
+/**
+ * Returns an error in the form it's shown in a status: {name, message, info},
+ * or null.
+ */
+function errorStatus(err) {
+    if (err === null || err === undefined) {
+        return (null);
+    }
+    return ({
+        name: err.name,
+        message: err.message,
+        info: verror.VError.info(err)
+    });
+}
+
+
+module.exports = {
+    errorStatus: errorStatus,
+    StatusServer: StatusServer
+};
@@ -18,6 +18,8 @@ var assert = require('assert-plus');
 var backoff = require('backoff');
 var bunyan = require('bunyan');
 var mod_crypto = require('crypto');
+var mod_dns = require('dns');
+var mod_fs = require('fs');
 var mod_mooremachine = require('mooremachine');
 var mod_net = require('net');
 var mod_url = require('url');
@@ -29,6 +31,10 @@ var zkClient = require('joyent-zookeeper-client');
 
 var EventEmitter = require('events').EventEmitter;
 
+var mod_metrics = require('./lib/metrics');
+var mod_sources = require('./lib/sources');
+var mod_status = require('./lib/status');
+
 /**
  * Create a Manatee client.
  *
@@ -45,63 +51,316 @@ var EventEmitter = require('events').EventEmitter;
  * 10.99.99.80:2181,10.99.99.81:2181,10.99.99.82:2181
  * @param {number} options.zk.opts opts sent directly to the
  * node-zookeeper-client
+ * @param {object|object[]} [options.zk.auth] Credentials to add to every
+ * zookeeper session, e.g. {scheme: 'digest', credentials: 'user:password'}, or
+ * an array of them.
+ * @param {object} [options.zk.module] The zookeeper client module to use,
+ * which must have the same createClient function as joyent-zookeeper-client.
+ * Tests can pass the fake from lib/fake_zk.js.
+ * @param {ZkConnectionManager} [options.zkConnection] Share a zookeeper
+ * session with the other clients using this manager (see
+ * createZkConnectionManager), instead of creating one for this client.
+ * @param {object} [options.source] Where to read the topology from, instead of
+ * zookeeper.  path and zk aren't needed when a source is given.
+ * @param {string} options.source.type One of 'zookeeper' (the default),
+ * 'file' or 'static'.
+ * @param {string} [options.source.path] For the file source, path of a JSON
+ * file in the same format as the /state node.  The file is watched for
+ * changes.
+ * @param {number} [options.source.interval] For the file source, how often to
+ * check the file for changes, in milliseconds.
+ * @param {string[]} [options.source.urls] For the static source, the ordered
+ * array of Postgres URLs of the peers, in the same form as topology events.
+ * @param {number} [options.connectTimeout] If the client hasn't connected to
+ * zookeeper after this many milliseconds, emit a ZkConnectTimeoutError.
+ * @param {number} [options.readyTimeout] If the client isn't ready after this
+ * many milliseconds, emit an error named for the step that stalled:
+ * ZkConnectTimeoutError, ClusterStateWatchTimeoutError,
+ * ElectionWatchTimeoutError or SourceTimeoutError.  In either case the client
+ * keeps trying.
+ * @param {object} [options.retry] How to retry failed zookeeper reads and
+ * reconnects.  Delays grow exponentially from initialDelay to maxDelay.
+ * @param {number} [options.retry.initialDelay] First delay, in milliseconds.
+ * Defaults to 1000.
+ * @param {number} [options.retry.maxDelay] Longest delay, in milliseconds.
+ * Defaults to 30000.
+ * @param {number} [options.retry.jitter] Up to this fraction of each delay is
+ * added at random, between 0 and 1.  Defaults to 0.25.
+ * @param {number} [options.retry.maxAttempts] How many times to retry in a
+ * row before giving up with a RetriesExhaustedError.  Defaults to 0, which
+ * retries forever.
+ * @param {string} [options.electionUrls] The form of the Postgres URLs of
+ * peers when the topology comes from the election: 'short' (the default) for
+ * tcp://10.0.0.0:5432, or 'full' for tcp://postgres@10.0.0.0:5432/postgres,
+ * the same as in the cluster state.
+ * @param {string} [options.mode] Where the topology comes from: 'auto' (the
+ * default) uses the cluster state, and the election when there is no cluster
+ * state; 'state' only uses the cluster state, so there's no primary without
+ * one; 'election' only uses the election, for Manatee v1 shards.  With a
+ * source, only 'state' (the default then) is allowed.
+ * @param {number} [options.settleMs] Hold topology changes until the topology
+ * has stopped changing for this many milliseconds, so that the steps of a
+ * takeover are emitted as one change.  Defaults to 0, which emits every
+ * change straight away.
+ * @param {number} [options.settleMaxMs] The longest a change is held for,
+ * however often the topology keeps changing, in milliseconds.  Defaults to 5
+ * times settleMs.
+ * @param {string} [options.cacheFile] Path of a file to save each confirmed
+ * topology and cluster state to.  If zookeeper can't be reached at startup,
+ * the client starts with the saved topology instead, marked as stale.  Not
+ * used with a source.
+ * @param {number} [options.cacheWindow] How long to wait for zookeeper at
+ * startup before using the cache file, in milliseconds.  Defaults to 10000.
+ * @param {object} [options.history] Options for the history of topology
+ * changes, see getHistory.
+ * @param {number} [options.history.size] How many changes to keep.  Defaults
+ * to 100.  0 keeps none.
+ * @param {string} [options.history.file] Path of a file to append each change
+ * to, as a line of JSON.
  *
  * @throws {Error} If the options object is malformed.
  *
- * @fires error If there is an error creating the ZKClient.
+ * @fires error If there is an error creating the ZKClient, the cluster state
+ * can't be parsed, the client times out starting up, it runs out of retries,
+ * or zookeeper rejects its credentials (ZkAuthError).
  * @fires topology When the topology has changed, in the form of an array of
  * Postgres URLS. e.g  ["tcp://postgres@127.0.0.1:30003/postgres",
  * "tcp://postgres@127.0.0.1:20003/postgres",
  * "tcp://postgres@127.0.0.1:10003/postgres"], where the first element is the
  * primary, the second element is the sync slave, and the third and additional
  * elements are the async slaves.
- * @fires ready When the client is ready and connected.
+ * @fires peers When the topology has changed, in the form of an array of peer
+ * objects, each labelled with its role. e.g. [{role: 'primary', pgUrl:
+ * "tcp://postgres@127.0.0.1:30003/postgres", id: "127.0.0.1:30003:30004",
+ * zoneId: "...", ip: "127.0.0.1", pgPort: 30003, backupPort: 30004,
+ * active: true}, ...], where active is whether the peer has a node in the
+ * election.
+ * @fires clusterState When the shard's cluster state has changed, in the form
+ * of the parsed /state document (generation, initWal, primary, sync, async,
+ * deposed, freeze, oneNodeWriteMode), or null if the cluster state was
+ * removed.
+ * @fires topologyPending With true when a topology change is being held for
+ * settleMs, and with false once it has been emitted (or the topology has gone
+ * back to what it was).
+ * @fires divergence When the cluster state and the election disagree on which
+ * peers are running, with {generation, missing: [peers], unknown: [election
+ * nodes]}: missing are the primary and sync if they have no election node, and
+ * unknown are the election nodes that appear nowhere in the cluster state
+ * (parsed as by parseElectionNode).  Emitted with null once they agree again.
+ * @fires sourceChanged When the topology switches between coming from the
+ * cluster state and the election.  Emitted with {source: 'clusterState'|
+ * 'election'|null, previous: ...}, where null means neither can be used.
+ * @fires degraded When the connection to zookeeper is lost or the session
+ * expires, and the topology can no longer be confirmed.  Emitted with
+ * {reason: 'disconnected'|'expired', lastConfirmedAt: Date}.
+ * @fires recovered When the client is connected again and its watches are
+ * re-established.  Emitted with {lastConfirmedAt: Date, degradedFor: ms}.
+ * @fires ready When the client is ready and connected, or has started with
+ * the topology from the cache file.  In that case topology, peers and
+ * clusterState are emitted with a second argument of {stale: true, cachedAt:
+ * Date}, followed by degraded with the reason 'cache'.  Once the topology has
+ * been read from zookeeper, recovered is emitted, and they're emitted again
+ * without it.
  *
  */
 function Manatee(options) {
     assert.object(options, 'options');
     assert.optionalObject(options.log, 'options.log');
-    assert.string(options.path, 'options.path');
-    assert.object(options.zk, 'options.zk');
+    assert.optionalObject(options.source, 'options.source');
+    assert.optionalNumber(options.connectTimeout, 'options.connectTimeout');
+    assert.optionalNumber(options.readyTimeout, 'options.readyTimeout');
+    assert.optionalObject(options.retry, 'options.retry');
+    assert.optionalObject(options._metrics, 'options._metrics');
+    assert.optionalString(options.electionUrls, 'options.electionUrls');
+    assert.ok(options.electionUrls === undefined ||
+        options.electionUrls === 'short' || options.electionUrls === 'full',
+        'options.electionUrls must be "short" or "full"');
+    assert.optionalString(options.mode, 'options.mode');
+    assert.ok(options.mode === undefined || MODES.indexOf(options.mode) !== -1,
+        'options.mode must be one of ' + MODES.join(', '));
+    assert.ok(!options.source || options.mode === undefined ||
+        options.mode === 'state', 'options.mode must be "state" with a source');
+    assert.optionalNumber(options.settleMs, 'options.settleMs');
+    assert.optionalNumber(options.settleMaxMs, 'options.settleMaxMs');
+    assert.ok(options.settleMaxMs === undefined ||
+        options.settleMaxMs >= (options.settleMs || 0),
+        'options.settleMaxMs must be at least options.settleMs');
+    assert.optionalString(options.cacheFile, 'options.cacheFile');
+    assert.optionalNumber(options.cacheWindow, 'options.cacheWindow');
+    assert.optionalObject(options.history, 'options.history');
+    var history = options.history || {};
+    assert.optionalNumber(history.size, 'options.history.size');
+    assert.optionalString(history.file, 'options.history.file');
+    var source = options.source || { type: 'zookeeper' };
+    if (source.type === 'zookeeper') {
+        assert.string(options.path, 'options.path');
+        assert.optionalObject(options._zkSession, 'options._zkSession');
+        assert.optionalObject(options.zkConnection, 'options.zkConnection');
+        if (!options._zkSession) {
+            assert.object(options.zk, 'options.zk');
+            zkAuthInfo(options.zk.auth);
+        }
+    }
 
     var self = this;
     EventEmitter.call(this);
 
     /** @type {Bunyan} The bunyan log object */
-    self._log = null;
-
-    if (options.log) {
-        self._log = options.log.child();
-    } else {
-        self._log = bunyan.createLogger({
-            level: (process.env.LOG_LEVEL || 'info'),
-            name: 'mantee-client',
-            serializers: {
-                err: bunyan.stdSerializers.err
-            }
-        });
-    }
+    self._log = createLogger(options.log);
 
     /**
      * @type {string} Path under which shard metadata such as elections are
      * stored. e.g. /manatee/1.moray.coal.joyent.us
      */
-    self._electionPath = options.path + '/election';
-    self._clusterStatePath = options.path + '/state';
+    self._path = options.path || null;
+    self._shardName = shardName(options.path);
+    /**
+     * @type {Object} The topology source, if not zookeeper.  Created in _init,
+     * from the source options.
+     */
+    self._sourceCfg = source.type === 'zookeeper' ? null : source;
+    //The shard's nodes in zookeeper, which aren't read with a source.
+    self._electionPath = self._sourceCfg ? null : options.path + '/election';
+    self._clusterStatePath = self._sourceCfg ? null : options.path + '/state';
+    self._source = null;
     /** @type {Object} The zk cfg */
     self._zkCfg = options.zk;
+    /**
+     * @type {ZkConnectionManager} The manager to get a shared session from,
+     * if the client was given one.
+     */
+    self._zkConnection = options._zkSession ? null :
+        (options.zkConnection || null);
+    /**
+     * @type {ZkSession} The ZK session.  This is only passed in (or taken
+     * from the manager) when the session is shared with other clients,
+     * otherwise we create our own.
+     */
+    self._session = options._zkSession || null;
+    self._ownSession = !options._zkSession && !self._zkConnection;
+    self._onSessionError = null;
+    self._onSessionConnected = null;
+    self._onSessionDisconnected = null;
+    self._onSessionExpired = null;
     /** @type {zkplus.client} The ZK client */
     self._zk = null;
     self._inited = false;
     self._closed = false;
+    /** @type {boolean} Whether everything has finished shutting down */
+    self._shutDown = false;
+    /** @type {Function[]} Callbacks waiting for the client to shut down */
+    self._closeCbs = [];
+    /**
+     * @type {Object} Path to the backoffs of the watch on it, cancelled on
+     * close
+     */
+    self._backoffs = {};
+    /** @type {Object} Path to the status of the watch on it */
+    self._watches = {};
+    /** @type {Object} The last error emitted, as {time, error} */
+    self._lastError = null;
+    /** @type {Object[]} Status servers serving the client, see close */
+    self._statusServers = [];
+    self._connectTimeout = options.connectTimeout;
+    self._readyTimeout = options.readyTimeout;
+    /** @type {Object} The retry policy, with the defaults filled in */
+    self._retry = retryPolicy(options.retry);
+    /**
+     * @type {string} What the client is waiting on before it's ready: connect,
+     * state or election for zookeeper, or source.
+     */
+    self._startupPhase = null;
+    self._hasConnected = false;
+    /** @type {Object[]} Timers for the startup deadlines */
+    self._startupTimers = [];
     self._clusterState = null;
     self._actives = null;
+    /** @type {Date} When the topology was last confirmed with zookeeper */
+    self._lastConfirmedAt = null;
+    /** @type {Date} When the client was degraded, or null if it isn't */
+    self._degradedAt = null;
     self._urls = [];
+    /** @type {Object[]} Role-labelled peers, in the same order as _urls */
+    self._peers = [];
+    self._electionUrls = options.electionUrls || 'short';
+    //A source has no election to fall back to.
+    self._mode = options.source ? 'state' : (options.mode || 'auto');
+    /** @type {string} Where the topology comes from, see sourceChanged */
+    self._topologySource = null;
+    /** @type {Object} How the cluster state and election diverge, if they do */
+    self._divergence = null;
+    self._settleMs = options.settleMs || 0;
+    self._settleMaxMs = options.settleMaxMs !== undefined ?
+        options.settleMaxMs : self._settleMs * 5;
+    /** @type {Object} The change being held, as {peers, origin} */
+    self._pendingChange = null;
+    /** @type {Object} Fires once the topology has been quiet for settleMs */
+    self._settleTimer = null;
+    /** @type {Object} Fires once the change has been held for settleMaxMs */
+    self._settleMaxTimer = null;
+    self._cacheFile = options.cacheFile || null;
+    self._cacheWindow = options.cacheWindow !== undefined ?
+        options.cacheWindow : 10000;
+    /** @type {boolean} Whether the topology is from the cache file */
+    self._cached = false;
+    /** @type {boolean} Whether the cache file is being written */
+    self._cacheWriting = false;
+    /** @type {boolean} Whether the cache needs writing again after that */
+    self._cacheDirty = false;
+    /** @type {Function} Called when the write finishes, if closing */
+    self._onCacheWritten = null;
+    /** @type {Object[]} The most recent topology changes, oldest first */
+    self._history = [];
+    self._historySize = history.size !== undefined ? history.size : 100;
+    self._historyFile = history.file || null;
+    /** @type {WriteStream} Where changes are appended, once there are any */
+    self._historyStream = null;
+    /**
+     * @type {Metrics} The client's metrics.  A resolver passes in its own, so
+     * that they carry on across the clients it creates.
+     */
+    self._metrics = options._metrics || new mod_metrics.Metrics();
+    self._metrics.gauge('peers', function () {
+        return (self._peers.length);
+    });
+    self._metrics.gauge('stale', function () {
+        return (self._degradedAt !== null ? 1 : 0);
+    });
+    self._metrics.gauge('seconds_since_confirmed', function () {
+        if (self._lastConfirmedAt === null) {
+            return (null);
+        }
+        return ((Date.now() - self._lastConfirmedAt.getTime()) / 1000);
+    });
 
     self.__defineGetter__('topology', function topology() {
         return (self._urls);
     });
 
+    self.__defineGetter__('peers', function peers() {
+        return (self._peers);
+    });
+
+    self.__defineGetter__('clusterState', function clusterState() {
+        return (self._clusterState);
+    });
+
+    self.__defineGetter__('topologySource', function topologySource() {
+        return (self._topologySource);
+    });
+
+    self.__defineGetter__('divergence', function divergence() {
+        return (self._divergence);
+    });
+
+    self.__defineGetter__('lastConfirmedAt', function lastConfirmedAt() {
+        return (self._lastConfirmedAt);
+    });
+
+    self.__defineGetter__('isStale', function isStale() {
+        return (self._degradedAt !== null);
+    });
+
     process.nextTick(function init() {
         self._init();
     });
@@ -112,472 +371,2862 @@ module.exports = {
     createClient: function createClient(options) {
         return (new Manatee(options));
     },
+    createMultiShardClient: function createMultiShardClient(options) {
+        return (new ManateeMultiShard(options));
+    },
     createPrimaryResolver: function createPrimaryResolver(options) {
         return (new ManateePrimaryResolver(options));
-    }
+    },
+    createReplicaResolver: function createReplicaResolver(options) {
+        return (new ManateeReplicaResolver(options));
+    },
+    createZkConnectionManager: function createZkConnectionManager(options) {
+        return (new ZkConnectionManager(options));
+    },
+    createStatusServer: function createStatusServer(options) {
+        assert.object(options, 'options');
+        return (new mod_status.StatusServer({
+            log: createLogger(options.log),
+            port: options.port,
+            host: options.host
+        }));
+    },
+    listShards: listShards,
+    parseElectionNode: parseElectionNode,
+    formatPrometheus: mod_metrics.formatPrometheus
 };
 
 /**
- * Close connection to zookeeper.
+ * Returns a child of the given logger, or a new logger if one wasn't given.
  */
-Manatee.prototype.close = function close() {
-    var self = this;
-    var log = self._log;
-    if (self._zk) {
-        self._zk.removeAllListeners();
-        self._zk.on('error', function (err) {
-            log.error({err: err}, 'err after zk close');
-        });
-        self._zk.close();
+function createLogger(log) {
+    if (log) {
+        return (log.child());
     }
-    if (!self._closed) {
-      self._closed = true;
-      self.emit('close');
+    return (bunyan.createLogger({
+        level: (process.env.LOG_LEVEL || 'info'),
+        name: 'mantee-client',
+        serializers: {
+            err: bunyan.stdSerializers.err
+        }
+    }));
+}
+
+/**
+ * Returns the name of a shard, which is the last part of its path.
+ */
+function shardName(path) {
+    if (!path) {
+        return ('local');
     }
-};
+    return (path.substring(path.lastIndexOf('/') + 1));
+}
+
+/**
+ * Returns the status server for startStatusServer, as {server, own}: the
+ * server given in the options, or a new one (which the caller owns) that calls
+ * back once it's listening.
+ */
+function statusServer(log, options, cb) {
+    assert.optionalObject(options.server, 'options.server');
+    assert.optionalFunc(cb, 'cb');
+    cb = cb || function (err) {
+        if (err) {
+            log.error(err, 'status server could not listen');
+        }
+    };
 
+    if (options.server) {
+        process.nextTick(cb);
+        return ({ server: options.server, own: false });
+    }
+    var server = new mod_status.StatusServer({
+        log: log,
+        port: options.port,
+        host: options.host
+    });
+    server.listen(cb);
+    return ({ server: server, own: true });
+}
 
 /**
- * #@+
- * @private
- * @memberOf Shard
+ * Stops serving the status of something that's closing, and closes the status
+ * servers it started.  Calls back once they've closed.
  */
+function closeStatusServers(entries, cb) {
+    vasync.forEachParallel({
+        'inputs': entries,
+        'func': function (entry, subcb) {
+            entry.unregister();
+            if (!entry.own) {
+                return (subcb());
+            }
+            return (entry.server.close(subcb));
+        }
+    }, function () {
+        cb();
+    });
+}
 
-Manatee.prototype._handleTopologyChange = function handleTopologyChange(urls) {
-    var self = this;
-    urls = urls || [];
+/**
+ * Validates the retry option, and returns the retry policy with the defaults
+ * filled in.
+ */
+function retryPolicy(retry) {
+    retry = retry || {};
+    assert.optionalNumber(retry.initialDelay, 'options.retry.initialDelay');
+    assert.optionalNumber(retry.maxDelay, 'options.retry.maxDelay');
+    assert.optionalNumber(retry.jitter, 'options.retry.jitter');
+    assert.optionalNumber(retry.maxAttempts, 'options.retry.maxAttempts');
+
+    var initialDelay = retry.initialDelay !== undefined ?
+        retry.initialDelay : 1000;
+    var policy = {
+        initialDelay: initialDelay,
+        maxDelay: retry.maxDelay !== undefined ? retry.maxDelay :
+            Math.max(30000, initialDelay),
+        jitter: retry.jitter !== undefined ? retry.jitter : 0.25,
+        maxAttempts: retry.maxAttempts !== undefined ? retry.maxAttempts : 0
+    };
+    assert.ok(policy.initialDelay >= 0,
+        'options.retry.initialDelay must not be negative');
+    assert.ok(policy.maxDelay >= policy.initialDelay,
+        'options.retry.maxDelay must be at least initialDelay');
+    assert.ok(policy.jitter >= 0 && policy.jitter <= 1,
+        'options.retry.jitter must be between 0 and 1');
+    return (policy);
+}
 
-    //Debounce topology changes
-    var equal = urls.length === self._urls.length;
-    self._urls.forEach(function (u, i) {
-        equal = equal && (u === urls[i]);
+/**
+ * Creates a backoff that follows the retry policy.  It emits fail instead of
+ * backing off once policy.maxAttempts backoffs have been made since it was
+ * last reset.
+ */
+function createBackoff(policy) {
+    //The backoff module wants delays of at least 1ms, and a maxDelay greater
+    // than initialDelay, which a millisecond more makes no odds to.
+    var initialDelay = Math.max(policy.initialDelay, 1);
+    var b = backoff.exponential({
+        initialDelay: initialDelay,
+        maxDelay: Math.max(policy.maxDelay, initialDelay + 1),
+        randomisationFactor: policy.jitter
     });
-    if (equal) {
-        return;
+    if (policy.maxAttempts > 0) {
+        b.failAfter(policy.maxAttempts);
     }
+    return (b);
+}
 
-    self._urls = urls;
-    if (self._inited) {
-        self.emit('topology', self._urls);
-    }
-};
+/**
+ * Cancels any backoffs in progress.
+ */
+function resetBackoffs(backoffs) {
+    backoffs.forEach(function (b) {
+        b.reset();
+    });
+}
 
-Manatee.prototype._handleClusterState = function handleClusterState(res) {
+/**
+ * Returns the error for giving up on the operation after too many retries.
+ */
+function retriesExhaustedError(operation, policy, info) {
+    info = info || {};
+    info.operation = operation;
+    info.attempts = policy.maxAttempts;
+    return (new verror.VError({
+        name: 'RetriesExhaustedError',
+        info: info
+    }, 'gave up on %s after %d retries', operation, policy.maxAttempts));
+}
+
+/**
+ * Returns a promise that resolves once the client is ready.  It rejects if the
+ * client emits an error or is closed first, or if the timeout passes first.
+ *
+ * @param {object} [options] Options.
+ * @param {number} [options.timeout] How long to wait, in milliseconds.  By
+ * default there's no timeout.
+ * @return {Promise}
+ */
+Manatee.prototype.ready = function ready(options) {
     var self = this;
-    var log = self._log;
+    options = options || {};
+    assert.object(options, 'options');
+    assert.optionalNumber(options.timeout, 'options.timeout');
 
-    if (!res || !res.data) {
-        if (!self._inited) {
-            return;
+    return (new Promise(function (resolve, reject) {
+        if (self._inited) {
+            return (resolve());
         }
-
-        //If the cluster state was deleted, we now revert back to using the
-        // election as the topology
-        self._clusterState = null;
-        if (self._actives) {
-            self._handleTopologyChange(self._childrenToUrls(self._actives));
+        if (self._closed) {
+            return (reject(new verror.VError({
+                name: 'ClientClosedError'
+            }, 'client is closed')));
         }
-        return;
-    }
 
-    res.data = res.data.toString('utf8');
-    log.debug(res, 'manatee: handling cluster state update');
-    try {
-        self._clusterState = JSON.parse(res.data);
-    } catch (err) {
-        var msg = 'error JSON parsing zookeeper cluster state';
-        log.fatal({
-            err: err,
-            data: res.data,
-            zkpath: self._clusterStatePath
-        }, msg);
-        self.emit('error', new Error(msg));
-        return;
-    }
+        var timer = null;
+        function cleanup() {
+            clearTimeout(timer);
+            self.removeListener('ready', onReady);
+            self.removeListener('error', onError);
+            self.removeListener('close', onClose);
+        }
+        function onReady() {
+            cleanup();
+            resolve();
+        }
+        function onError(err) {
+            cleanup();
+            reject(err);
+        }
+        function onClose() {
+            cleanup();
+            reject(new verror.VError({
+                name: 'ClientClosedError'
+            }, 'client closed before it was ready'));
+        }
 
-    self._handleTopologyChange(self._clusterStateToUrls(self._clusterState));
+        self.on('ready', onReady);
+        self.on('error', onError);
+        self.on('close', onClose);
+        if (options.timeout !== undefined) {
+            timer = setTimeout(function () {
+                cleanup();
+                reject(new verror.VError({
+                    name: 'ReadyTimeoutError',
+                    info: {
+                        phase: self._startupPhase,
+                        timeout: options.timeout
+                    }
+                }, 'client not ready after %dms', options.timeout));
+            }, options.timeout);
+        }
+    }));
 };
 
-Manatee.prototype._handleActive = function handleActive(res) {
+/**
+ * Returns a promise for the topology, which resolves once the client is ready.
+ *
+ * @param {object} [options] Options, as for ready.
+ * @return {Promise} Resolves with the array of Postgres URLs.
+ */
+Manatee.prototype.getTopology = function getTopology(options) {
     var self = this;
-    var log = self._log;
-
-    if (!res || !res.children) {
-        self._actives = null;
-        log.debug('no actives, nothing to do');
-        return;
-    }
-
-    //Always keep track of our current actives.
-    self._actives = res.children;
-
-    if (self._clusterState) {
-        //We're relying on the cluster state, so we can just ignore the actives
-        // notification.
-        return;
-    }
-
-    self._handleTopologyChange(self._childrenToUrls(self._actives));
+    return (self.ready(options).then(function () {
+        return (self._urls);
+    }));
 };
 
-Manatee.prototype._setWatches = function setWatches(zk, cb) {
+/**
+ * Returns an async iterator over the topology.  It yields the current topology
+ * once the client is ready, then each topology the client emits after that.
+ * The iterator finishes when the client is closed (straight away if it already
+ * is), and throws if the client emits an error.  Topologies are buffered until
+ * they're consumed.
+ *
+ *     for await (var urls of client.topologies()) { ... }
+ *
+ * @return {Object} An async iterator.
+ */
+Manatee.prototype.topologies = function topologies() {
     var self = this;
-    var log = self._log;
-
-    log.debug('zk: setting up watches');
-
-    //Watch the cluster state
-    function watchClusterState(_, subcb) {
-        function onWatching(err, res) {
-            if (!err) {
-                self._handleClusterState(res);
+    var queue = [];
+    var waiting = null;
+    var finished = false;
+    var failure = null;
+
+    function push(res) {
+        if (waiting) {
+            var w = waiting;
+            waiting = null;
+            w.resolve(res);
+        } else {
+            queue.push(res);
+        }
+    }
+    function onTopology(urls) {
+        push({ value: urls, done: false });
+    }
+    function finish(err) {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        self.removeListener('topology', onTopology);
+        self.removeListener('error', finish);
+        self.removeListener('close', onClose);
+        if (waiting) {
+            var w = waiting;
+            waiting = null;
+            if (err) {
+                w.reject(err);
+            } else {
+                w.resolve({ value: undefined, done: true });
             }
-            return (subcb(err));
+        } else {
+            failure = err || null;
         }
-        self._watchNode(zk,
-                        self._clusterStatePath,
-                        self._handleClusterState.bind(self),
-                        onWatching);
+    }
+    function onClose() {
+        finish(null);
     }
 
-    //Watch the ephemeral directory
-    function watchEphemeralDirectory(_, subcb) {
-        function onWatching(err, res) {
-            if (!err) {
-                self._handleActive(res);
+    self.on('topology', onTopology);
+    self.on('error', finish);
+    self.on('close', onClose);
+    //A closed client won't emit close again, nor anything else.
+    if (self._closed) {
+        finish(null);
+    } else if (self._inited) {
+        queue.push({ value: self._urls, done: false });
+    }
+
+    var it = {
+        next: function next() {
+            if (queue.length > 0) {
+                return (Promise.resolve(queue.shift()));
             }
-            return (subcb(err));
+            if (failure) {
+                var err = failure;
+                failure = null;
+                return (Promise.reject(err));
+            }
+            if (finished) {
+                return (Promise.resolve({ value: undefined, done: true }));
+            }
+            return (new Promise(function (resolve, reject) {
+                waiting = { resolve: resolve, reject: reject };
+            }));
+        },
+        'return': function _return() {
+            queue = [];
+            finish(null);
+            return (Promise.resolve({ value: undefined, done: true }));
         }
-        self._watchNode(zk,
-                        self._electionPath,
-                        self._handleActive.bind(self),
-                        onWatching);
+    };
+    if (typeof (Symbol) === 'function' && Symbol.asyncIterator) {
+        it[Symbol.asyncIterator] = function asyncIterator() {
+            return (it);
+        };
     }
+    return (it);
+};
 
-    vasync.pipeline({
-        'funcs': [
-            watchClusterState,
-            watchEphemeralDirectory
-        ]
-    }, function (err) {
-        log.debug('zk: done setting up watches');
-        return (cb(err));
-    });
+/*
+ * The conditions waitFor understands in a spec, by name.  Each is given the
+ * value from the spec and the current peers.
+ */
+var WAIT_CONDITIONS = {
+    'hasPrimary': function hasPrimary(want, peers) {
+        assert.bool(want, 'spec.hasPrimary');
+        return (peers.some(function (p) {
+            return (p.role === 'primary');
+        }) === want);
+    },
+    'hasSync': function hasSync(want, peers) {
+        assert.bool(want, 'spec.hasSync');
+        return (peers.some(function (p) {
+            return (p.role === 'sync');
+        }) === want);
+    },
+    'minPeers': function minPeers(n, peers) {
+        assert.number(n, 'spec.minPeers');
+        return (peers.length >= n);
+    },
+    'primaryIs': function primaryIs(who, peers) {
+        assert.string(who, 'spec.primaryIs');
+        return (peers.some(function (p) {
+            return (p.role === 'primary' &&
+                (p.pgUrl === who || p.ip === who || p.id === who));
+        }));
+    }
 };
 
 /**
- * Inits and manages the zookeeper client.
+ * Returns the predicate for a waitFor spec, which is either a predicate
+ * already, or an object of conditions that must all hold.
  */
-Manatee.prototype._init = function _init() {
-    var self = this;
-    var log = self._log;
-
-    log.debug('init: entered');
-
-    var emitReady = once(function emitReadyFunc() {
-        self._inited = true;
-        process.nextTick(self.emit.bind(self, 'ready'));
-        process.nextTick(self.emit.bind(self, 'topology', self._urls));
+function waitPredicate(spec) {
+    if (typeof (spec) === 'function') {
+        return (spec);
+    }
+    assert.object(spec, 'spec');
+    var names = Object.keys(spec);
+    names.forEach(function (name) {
+        assert.ok(WAIT_CONDITIONS.hasOwnProperty(name),
+            'unknown condition: ' + name);
     });
+    //Check the values up front, rather than when the condition is first tried.
+    names.forEach(function (name) {
+        WAIT_CONDITIONS[name](spec[name], []);
+    });
+    return (function (peers) {
+        return (names.every(function (name) {
+            return (WAIT_CONDITIONS[name](spec[name], peers));
+        }));
+    });
+}
 
-    function setupZkClient() {
-        var zk = zkClient.createClient(self._zkCfg.connStr, self._zkCfg.opts);
-        self._zk = zk;
-
-        var resetZkClientOnce = once(function resetZkClient() {
-            if (zk) {
-                zk.close();
-            }
-            process.nextTick(setupZkClient);
-        });
-        var setWatchesOnce = once(self._setWatches.bind(self));
-
-        //Creator says this is "Java Style"
-        zk.on('state', function (s) {
-            //Just log it.  The other events are called.
-            log.trace(s, 'zk: new state');
-        });
-
-        //Client is connected and ready. This fires whenever the client is
-        // disconnected and reconnected (more than just the first time).
-        zk.on('connected', function () {
-            log.debug(zk.getSessionId(), 'zk: connected');
-            setWatchesOnce(zk, function (err) {
-                if (err) {
-                    log.error(err, 'zk: err setting up data, reiniting');
-                    return (resetZkClientOnce());
-                } else {
-                    emitReady();
-                }
-            });
-        });
-
-        //Client is connected to a readonly server.
-        zk.on('connectedReadOnly', function () {
-            //Don't do anything for this.
-            log.debug('zk: connected read only');
-        });
+/**
+ * Waits until the shard is in the given condition, or calls back straight away
+ * if it already is.  The condition is checked against the topology the client
+ * has emitted, once it's ready and whenever the peers or cluster state change.
+ *
+ * @param {Object|Function} spec The condition, either as an object of
+ * conditions that must all hold: hasPrimary and hasSync (booleans), minPeers
+ * (a number), primaryIs (the pgUrl, ip or id of the primary); or as a
+ * function, which is called with the peers and the cluster state (or null) and
+ * returns true once the condition holds.
+ * @param {object} [options] Options.
+ * @param {number} [options.timeout] How long to wait, in milliseconds.  By
+ * default there's no timeout.
+ * @param {function} cb Called with the peers once the condition holds.  Called
+ * with a WaitForTimeoutError if the timeout passes first, a ClientClosedError
+ * if the client is closed first, or the error the client emits.
+ */
+Manatee.prototype.waitFor = function waitFor(spec, options, cb) {
+    var self = this;
+    if (typeof (options) === 'function') {
+        cb = options;
+        options = {};
+    }
+    var predicate = waitPredicate(spec);
+    assert.object(options, 'options');
+    assert.optionalNumber(options.timeout, 'options.timeout');
+    assert.func(cb, 'cb');
 
-        //The connection between client and server is dropped.
-        zk.on('disconnected', function () {
-            //Don't do anything for this.
-            log.debug('zk: disconnected');
-        });
+    function holds() {
+        return (self._inited && predicate(self._peers, self._clusterState));
+    }
 
-        //The client session is expired.
-        zk.on('expired', function () {
-            //This causes the client to "go away".  A new one should be
-            // created after this.
-            log.info('zk: session expired, reiniting.');
-            resetZkClientOnce();
+    if (self._closed) {
+        process.nextTick(function () {
+            cb(new verror.VError({
+                name: 'ClientClosedError'
+            }, 'client is closed'));
         });
-
-        //Failed to authenticate with the server.
-        zk.on('authenticationFailed', function () {
-            //Don't do anything for this.
-            log.fatal('zk: auth failed');
+        return;
+    }
+    if (holds()) {
+        var peers = self._peers;
+        process.nextTick(function () {
+            cb(null, peers);
         });
+        return;
+    }
 
-        //Not even sure if this is really an error that would be emitted...
-        zk.on('error', function (err) {
-            //Create a new ZK.
-            log.warn({err: err}, 'zk: unexpected error, reiniting');
-            resetZkClientOnce();
-        });
+    var timer = null;
+    function cleanup() {
+        clearTimeout(timer);
+        self.removeListener('ready', onChange);
+        self.removeListener('peers', onChange);
+        self.removeListener('clusterState', onChange);
+        self.removeListener('error', onError);
+        self.removeListener('close', onClose);
+    }
+    function onChange() {
+        if (holds()) {
+            cleanup();
+            cb(null, self._peers);
+        }
+    }
+    function onError(err) {
+        cleanup();
+        cb(err);
+    }
+    function onClose() {
+        cleanup();
+        cb(new verror.VError({
+            name: 'ClientClosedError'
+        }, 'client closed before the condition held'));
+    }
 
-        zk.connect();
+    self.on('ready', onChange);
+    self.on('peers', onChange);
+    self.on('clusterState', onChange);
+    self.on('error', onError);
+    self.on('close', onClose);
+    if (options.timeout !== undefined) {
+        timer = setTimeout(function () {
+            cleanup();
+            cb(new verror.VError({
+                name: 'WaitForTimeoutError',
+                info: {
+                    spec: typeof (spec) === 'function' ? null : spec,
+                    timeout: options.timeout
+                }
+            }, 'condition did not hold after %dms', options.timeout));
+        }, options.timeout);
     }
+};
 
-    setupZkClient();
+/*
+ * Names of the errors emitted when the client doesn't start up in time, by the
+ * step it was waiting on.
+ */
+var STARTUP_ERRORS = {
+    'connect': 'ZkConnectTimeoutError',
+    'state': 'ClusterStateWatchTimeoutError',
+    'election': 'ElectionWatchTimeoutError',
+    'source': 'SourceTimeoutError'
 };
 
+/*
+ * Values of the mode option: where the topology may come from.
+ */
+var MODES = [ 'auto', 'state', 'election' ];
 
 /**
- * Will call the way function on any change to the node or its children.
- * returns the following structure:
- *
- * {
- *    'data': ...         //can be null
- *    'children': [ ... ] //can be empty or null)
- *    'version': ...      //can be null
- * }
- *
- * When all elements are null it means that the node doesn't exist
+ * Returns the client's metrics: {counters: {...}, gauges: {...}}.  See
+ * lib/metrics.js for what each metric is.
+ */
+Manatee.prototype.getMetrics = function getMetrics() {
+    return (this._metrics.snapshot());
+};
+
+/**
+ * Returns what the client knows about the shard, as served by the status
+ * server: the topology and where it came from, the cluster state, the
+ * zookeeper session and watches, the last error, the metrics and the history.
+ */
+Manatee.prototype.getStatus = function getStatus() {
+    var self = this;
+
+    var zk = null;
+    if (!self._sourceCfg) {
+        var zkCfg = self._zkCfg || (self._session && self._session._zkCfg) ||
+            {};
+        var client = self._session ? self._session.zk : null;
+        var id = client ? client.getSessionId() : null;
+        var state = 'connecting';
+        if (self._closed) {
+            state = 'closed';
+        } else if (self._session && self._session.isConnected()) {
+            state = 'connected';
+        } else if (self._hasConnected) {
+            state = 'disconnected';
+        }
+        zk = {
+            connStr: zkCfg.connStr || null,
+            sessionId: id === null || id === undefined ? null :
+                (Buffer.isBuffer(id) ? id.toString('hex') : String(id)),
+            state: state,
+            shared: !self._ownSession
+        };
+    }
+
+    var lastError = null;
+    if (self._lastError !== null) {
+        lastError = mod_status.errorStatus(self._lastError.error);
+        lastError.time = self._lastError.time;
+    }
+
+    return ({
+        shard: self._shardName,
+        path: self._path,
+        ready: self._inited,
+        source: self._sourceCfg ? (self._sourceCfg.type || 'custom') :
+            'zookeeper',
+        mode: self._mode,
+        topologySource: self._topologySource,
+        stale: self.isStale,
+        cached: self._cached,
+        lastConfirmedAt: self._lastConfirmedAt,
+        topology: self._urls,
+        peers: self._peers,
+        clusterState: self._clusterState,
+        divergence: self._divergence,
+        zk: zk,
+        watches: Object.keys(self._watches).sort().map(function (p) {
+            var w = self._watches[p];
+            return ({
+                path: w.path,
+                registered: w.registered,
+                registeredAt: w.registeredAt,
+                errors: w.errors
+            });
+        }),
+        lastError: lastError,
+        metrics: self.getMetrics(),
+        history: self.getHistory()
+    });
+};
+
+/**
+ * Serves the status of the client over HTTP, at /shards/:name.  See
+ * lib/status.js for the routes.
  *
- * Zookeeper watches will only fire once.  That's right.  Once.  So anytime
- * a watch fires we need to re-register the watch.
+ * @param {object} options Options.
+ * @param {number} [options.port] Port to listen on.  Defaults to 0, for any
+ * free port.
+ * @param {string} [options.host] Address to listen on.  Defaults to
+ * 127.0.0.1.
+ * @param {StatusServer} [options.server] A server from createStatusServer to
+ * serve the status from, instead of starting one.
+ * @param {string} [options.name] Name to serve the status under.  Defaults to
+ * the last part of the shard's path.
+ * @param {function} [cb] Called once the server is listening, or with an error
+ * if it couldn't listen.
+ * @return {StatusServer} The server.  A server the client started is closed
+ * when the client is.
+ */
+Manatee.prototype.startStatusServer = function startStatusServer(options, cb) {
+    var self = this;
+    assert.object(options, 'options');
+    assert.optionalString(options.name, 'options.name');
+    assert.ok(!self._closed, 'client is closed');
+
+    var name = options.name || self._shardName;
+    var entry = statusServer(self._log, options, cb);
+    entry.server.addShard(name, self);
+    entry.unregister = function () {
+        entry.server.removeShard(name);
+    };
+    self._statusServers.push(entry);
+    return (entry.server);
+};
+
+/**
+ * Emits an error, and keeps it as the last error for getStatus.
+ */
+Manatee.prototype._emitError = function emitError(err) {
+    this._metrics.increment('errors');
+    this._lastError = { time: new Date(), error: err };
+    this.emit('error', err);
+};
+
+/**
+ * Returns the most recent topology changes, oldest first.  Each is an object
+ * with:
+ * - time: when the client saw the change, as a Date.
+ * - source: where the topology came from: 'clusterState' or 'election' for
+ *   zookeeper, otherwise the type of the topology source.
+ * - version: the version of the zookeeper node the cluster state was read
+ *   from, or null.
+ * - generation: the generation of the cluster state, or null.
+ * - oldTopology and newTopology: the Postgres URLs before and after.
+ */
+Manatee.prototype.getHistory = function getHistory() {
+    return (this._history.slice());
+};
+
+/**
+ * Close connection to zookeeper, or the topology source, and cancel any
+ * pending retries and timers.
  *
- * The wat function is called each time something changes.
- * The cb is only called once, after the watch is initally set with the initial
- * read.
+ * @param {function} [cb] Called once the client has shut down, including
+ * finishing writing the history file.  Can be given to more than one call.
  */
-Manatee.prototype._watchNode = function _watchNode(zk, path, wat, cb) {
+Manatee.prototype.close = function close(cb) {
     var self = this;
-    var currStat = null;
-    var currChildren = null;
-    var currData = null;
+    assert.optionalFunc(cb, 'cb');
 
-    cb = once(cb);
+    if (cb) {
+        self._closeCbs.push(cb);
+    }
+    if (self._closed) {
+        if (self._shutDown) {
+            process.nextTick(self._finishClose.bind(self));
+        }
+        return;
+    }
+    self._closed = true;
 
-    function getRes() {
-        return ({
-            data: currData ? currData : null,
-            version: currStat ? currStat.version : null,
-            children: currChildren ? currChildren : null
+    self._clearStartupTimers();
+    self._clearSettleTimers();
+    self._pendingChange = null;
+    Object.keys(self._backoffs).forEach(function (p) {
+        resetBackoffs(self._backoffs[p]);
+    });
+    self._backoffs = {};
+    if (self._source) {
+        self._source.removeAllListeners();
+        self._source.close();
+    }
+    if (self._session) {
+        if (self._onSessionConnected) {
+            self._session.removeListener('connected',
+                self._onSessionConnected);
+            self._session.removeListener('disconnected',
+                self._onSessionDisconnected);
+            self._session.removeListener('expired', self._onSessionExpired);
+        }
+        if (self._onSessionError) {
+            self._session.removeListener('error', self._onSessionError);
+        }
+        //A shared session is closed by whoever created it, or by the manager
+        // once no client is using it.
+        if (self._ownSession) {
+            self._session.close();
+        } else if (self._zkConnection) {
+            self._zkConnection.release(self._session);
+        }
+    }
+    self.emit('close');
+
+    //Wait for any files to finish being written.
+    var barrier = vasync.barrier();
+    barrier.on('drain', function () {
+        self._shutDown = true;
+        self._finishClose();
+    });
+    barrier.start('close');
+    barrier.start('status');
+    closeStatusServers(self._statusServers, function () {
+        barrier.done('status');
+    });
+    self._statusServers = [];
+    var stream = self._historyStream;
+    self._historyStream = null;
+    if (stream) {
+        //The stream closes after it has finished writing, or failed to.
+        barrier.start('history');
+        stream.once('close', function () {
+            barrier.done('history');
         });
+        stream.end();
     }
+    if (self._cacheWriting) {
+        barrier.start('cache');
+        self._onCacheWritten = function () {
+            barrier.done('cache');
+        };
+    }
+    process.nextTick(function () {
+        barrier.done('close');
+    });
+};
 
-    //The event this gives back isn't what it changed to, only that it
-    // changed.
-    function dataWatchFired(event) {
-        if (self._closed) {
+/**
+ * Calls back everything waiting for the client to shut down.
+ */
+Manatee.prototype._finishClose = function finishClose() {
+    var cbs = this._closeCbs;
+    this._closeCbs = [];
+    cbs.forEach(function (cb) {
+        cb();
+    });
+};
+
+
+/**
+ * #@+
+ * @private
+ * @memberOf Shard
+ */
+
+/**
+ * Called with the peers whenever the topology may have changed.  With
+ * settleMs, changes are held until the topology has been quiet for that long,
+ * and only the last of them is applied.
+ */
+Manatee.prototype._handleTopologyChange = function handleTopology(peers,
+    origin) {
+    var self = this;
+    peers = peers || [];
+
+    //The initial topology, and the one replacing a cached one, aren't held.
+    if (self._settleMs === 0 || !self._inited || self._cached) {
+        self._setTopology(peers, origin);
+        return;
+    }
+
+    if (self._pendingChange === null) {
+        if (JSON.stringify(peers) === JSON.stringify(self._peers)) {
             return;
         }
-        return (getData(true));
+        self._settleMaxTimer = setTimeout(function () {
+            self._settle();
+        }, self._settleMaxMs);
+        self._pendingChange = { peers: peers, origin: origin };
+        self.emit('topologyPending', true);
+    } else {
+        self._pendingChange = { peers: peers, origin: origin };
+        clearTimeout(self._settleTimer);
     }
-    function childrenWatchFired(event) {
-        if (self._closed) {
-            return;
+    self._settleTimer = setTimeout(function () {
+        self._settle();
+    }, self._settleMs);
+};
+
+/**
+ * Emits the change that was being held, once the topology has settled or it
+ * has been held for too long.
+ */
+Manatee.prototype._settle = function settle() {
+    var self = this;
+    var change = self._pendingChange;
+
+    self._clearSettleTimers();
+    self._pendingChange = null;
+    if (change === null || self._closed) {
+        return;
+    }
+    self._setTopology(change.peers, change.origin);
+    self.emit('topologyPending', false);
+};
+
+Manatee.prototype._clearSettleTimers = function clearSettleTimers() {
+    clearTimeout(this._settleTimer);
+    clearTimeout(this._settleMaxTimer);
+    this._settleTimer = null;
+    this._settleMaxTimer = null;
+};
+
+/**
+ * Makes the given peers the current topology, and emits it if it has changed.
+ */
+Manatee.prototype._setTopology = function setTopology(peers, origin) {
+    var self = this;
+    var urls = peers.map(function (p) {
+        return (p.pgUrl);
+    });
+
+    //Debounce topology changes.  The same urls can come back with different
+    // roles (e.g. an async taking the place of a missing sync), so the peers
+    // are compared separately.
+    var equal = urls.length === self._urls.length;
+    self._urls.forEach(function (u, i) {
+        equal = equal && (u === urls[i]);
+    });
+    var peersEqual = JSON.stringify(peers) === JSON.stringify(self._peers);
+    if (equal && peersEqual) {
+        return;
+    }
+
+    self._peers = peers;
+    if (!equal) {
+        self._metrics.increment('topology_changes');
+        if (urls[0] !== self._urls[0]) {
+            self._metrics.increment('primary_changes');
         }
-        return (registerChildrenWatch());
+        self._recordChange(self._urls, urls, origin);
+        self._urls = urls;
     }
-    function getData(regWatch) {
-        if (self._closed) {
-            return;
+    //While starting from the cache, the view is only emitted once it has all
+    // been read from zookeeper.
+    if (self._inited && !self._cached) {
+        if (!equal) {
+            self.emit('topology', self._urls);
         }
-        zk.getData(path, function (err, data, stat) {
-            var prevStat = currStat;
-            currStat = stat;
-            currData = data;
-            if (err && err.name === 'NO_NODE') {
-                err = null;
-                currChildren = null;
-            } else if (err) {
-                return (setTimeout(getData, 5000));
-            }
+        self.emit('peers', self._peers);
+        self._saveCache();
+    }
+};
 
-            function done() {
-                if (regWatch) {
-                    registerDataWatch();
-                }
-            }
+/**
+ * Adds a topology change to the history, and to the history file if there is
+ * one.  origin is {source, version, generation}, as for getHistory.
+ */
+Manatee.prototype._recordChange = function recordChange(prev, urls, origin) {
+    var self = this;
 
-            // Init
-            if (!cb.called) {
-                // If we exist, we need to set up the children watch.
-                if (currStat) {
-                    registerChildrenWatch(done);
-                } else {
-                    cb(null, getRes());
-                    done();
-                }
-                // After Init
-            } else {
-                // Ongoing, if we are newly created, we need to set up the
-                // children watch again since the old disappears into the ether
-                if (!prevStat && currStat && currStat.version === 0) {
-                    registerChildrenWatch(done);
-                } else {
-                    wat(getRes());
-                    done();
-                }
-            }
+    origin = origin || {};
+    var entry = {
+        time: new Date(),
+        source: origin.source || null,
+        version: origin.version !== undefined ? origin.version : null,
+        generation: origin.generation !== undefined ? origin.generation : null,
+        oldTopology: prev,
+        newTopology: urls
+    };
+
+    if (self._historySize > 0) {
+        self._history.push(entry);
+        if (self._history.length > self._historySize) {
+            self._history.shift();
+        }
+    }
+
+    if (self._historyFile === null || self._closed) {
+        return;
+    }
+    if (self._historyStream === null) {
+        self._historyStream = mod_fs.createWriteStream(self._historyFile, {
+            flags: 'a'
+        });
+        self._historyStream.on('error', function (err) {
+            //Losing the history isn't worth stopping the client for.
+            self._log.warn({err: err, file: self._historyFile},
+                'error writing topology history, no longer writing it');
+            self._historyFile = null;
+            self._historyStream = null;
         });
     }
-    function registerChildrenWatch(subcb) {
-        if (self._closed) {
+    self._historyStream.write(JSON.stringify(entry) + '\n');
+};
+
+Manatee.prototype._handleClusterState = function handleClusterState(res) {
+    var self = this;
+    var log = self._log;
+
+    self._lastConfirmedAt = new Date();
+
+    if (!res || !res.data) {
+        if (!self._inited) {
             return;
         }
-        zk.getChildren(path, childrenWatchFired, function (err, children) {
-            if (err && err.name === 'NO_NODE') {
-                return;
-            }
-            if (err) {
-                return (setTimeout(registerChildrenWatch, 5000));
-            }
-            currChildren = children;
-            // Init
-            if (!cb.called) {
-                cb(null, getRes());
-                // After Init
-            } else {
-                wat(getRes());
-            }
-            if (subcb) {
-                subcb();
-            }
+
+        //If the cluster state was deleted, we now revert back to using the
+        // election as the topology, unless the mode doesn't allow it, in
+        // which case there's no primary.
+        var existed = self._clusterState !== null;
+        self._clusterState = null;
+        if (existed && !self._cached) {
+            self.emit('clusterState', null);
+            self._saveCache();
+        }
+        var source = self._currentSource();
+        if (source === 'election') {
+            self._setSource(source);
+            self._handleTopologyChange(
+                self._childrenToPeers(self._actives), { source: 'election' });
+        } else if (self._mode === 'state') {
+            self._setSource(null);
+            self._handleTopologyChange([], { source: 'clusterState' });
+        }
+        self._checkDivergence();
+        return;
+    }
+
+    res.data = res.data.toString('utf8');
+    log.debug(res, 'manatee: handling cluster state update');
+    var prev = self._clusterState;
+    try {
+        self._clusterState = JSON.parse(res.data);
+    } catch (err) {
+        //Where the cluster state came from: its node in zookeeper, or the
+        // source's file, if it has one.
+        var info = {};
+        var msg = 'error JSON parsing zookeeper cluster state';
+        if (!self._sourceCfg) {
+            info.zkpath = self._clusterStatePath;
+        } else if (self._sourceCfg.type === 'file') {
+            info.file = self._sourceCfg.path;
+            msg = 'error JSON parsing cluster state file';
+        } else {
+            msg = 'error JSON parsing cluster state';
+        }
+        log.fatal({
+            err: err,
+            data: res.data,
+            zkpath: info.zkpath,
+            file: info.file
+        }, msg);
+        self._emitError(new verror.VError({
+            name: 'ClusterStateParseError',
+            cause: err,
+            info: info
+        }, msg));
+        return;
+    }
+
+    if (self._inited && !self._cached &&
+        JSON.stringify(prev) !== JSON.stringify(self._clusterState)) {
+        self.emit('clusterState', self._clusterState);
+        self._saveCache();
+    }
+
+    self._checkDivergence();
+    if (self._currentSource() !== 'clusterState') {
+        //Only the election is used in election mode.
+        return;
+    }
+    self._setSource('clusterState');
+    self._handleTopologyChange(
+        self._clusterStateToPeers(self._clusterState), {
+            source: self._sourceCfg ?
+                (self._sourceCfg.type || 'custom') : 'clusterState',
+            version: res.version,
+            generation: self._clusterState.generation
+        });
+};
+
+Manatee.prototype._handleActive = function handleActive(res) {
+    var self = this;
+    var log = self._log;
+
+    self._lastConfirmedAt = new Date();
+
+    if (!res || !res.children) {
+        self._actives = null;
+        log.debug('no actives');
+    } else {
+        //Always keep track of our current actives.
+        self._actives = res.children;
+    }
+
+    var source = self._currentSource();
+    if (source === 'clusterState') {
+        //We're relying on the cluster state, so the actives only change which
+        // of its peers are marked active.
+        self._handleTopologyChange(
+            self._clusterStateToPeers(self._clusterState), {
+                source: 'clusterState'
+            });
+    } else if (source === 'election') {
+        self._setSource('election');
+        self._handleTopologyChange(self._childrenToPeers(self._actives), {
+            source: 'election'
         });
     }
-    function registerDataWatch() {
-        if (self._closed) {
-            return;
+    self._checkDivergence();
+};
+
+/**
+ * Returns where the topology should come from, given the mode and what has been
+ * read: 'clusterState', 'election', or null if neither can be used.
+ */
+Manatee.prototype._currentSource = function currentSource() {
+    if (this._mode !== 'election' && this._clusterState !== null) {
+        return ('clusterState');
+    }
+    if (this._mode !== 'state' && this._actives !== null) {
+        return ('election');
+    }
+    return (null);
+};
+
+/**
+ * Cross-checks the cluster state against the election, and emits divergence
+ * when they no longer agree on who is running: the primary or sync has no
+ * election node, or a peer in the election appears nowhere in the cluster
+ * state.  Emits divergence with null once they agree again.
+ */
+Manatee.prototype._checkDivergence = function checkDivergence() {
+    var self = this;
+    var cs = self._clusterState;
+
+    if (!self._inited || self._cached || self._sourceCfg) {
+        return;
+    }
+
+    var divergence = null;
+    if (cs !== null) {
+        var nodes = (self._actives || []).map(parseElectionNode);
+        var peers = self._clusterStateToPeers(cs);
+        var missing = peers.filter(function (p) {
+            return ((p.role === 'primary' || p.role === 'sync') && !p.active);
+        });
+        (cs.deposed || []).forEach(function (d) {
+            peers.push(clusterStatePeer('deposed', d));
+        });
+        var unknown = nodes.filter(function (n) {
+            return (!peers.some(function (p) {
+                return (isSamePeer(p, n));
+            }));
+        });
+        if (missing.length > 0 || unknown.length > 0) {
+            divergence = {
+                generation: cs.generation,
+                missing: missing,
+                unknown: unknown
+            };
+        }
+    }
+
+    if (JSON.stringify(divergence) === JSON.stringify(self._divergence)) {
+        return;
+    }
+    self._divergence = divergence;
+    if (divergence !== null) {
+        self._log.warn(divergence, 'cluster state and election diverge');
+    } else {
+        self._log.info('cluster state and election agree again');
+    }
+    self.emit('divergence', divergence);
+};
+
+/**
+ * Records where the topology comes from, and emits sourceChanged if that's
+ * different from before.
+ */
+Manatee.prototype._setSource = function setSource(source) {
+    var self = this;
+    var previous = self._topologySource;
+
+    if (source === previous) {
+        return;
+    }
+    self._topologySource = source;
+    self._log.info({source: source, previous: previous},
+        'topology source changed');
+    if (self._inited && !self._cached) {
+        self.emit('sourceChanged', { source: source, previous: previous });
+    }
+};
+
+Manatee.prototype._setWatches = function setWatches(zk, cb) {
+    var self = this;
+    var log = self._log;
+
+    log.debug('zk: setting up watches');
+
+    //Watch the cluster state
+    function watchClusterState(_, subcb) {
+        self._startupPhase = 'state';
+        function onWatching(err, res) {
+            if (!err) {
+                self._handleClusterState(res);
+            }
+            return (subcb(err));
+        }
+        self._watchNode(zk,
+                        self._clusterStatePath,
+                        self._handleClusterState.bind(self),
+                        onWatching);
+    }
+
+    //Watch the ephemeral directory
+    function watchEphemeralDirectory(_, subcb) {
+        self._startupPhase = 'election';
+        function onWatching(err, res) {
+            if (!err) {
+                self._handleActive(res);
+            }
+            return (subcb(err));
+        }
+        self._watchNode(zk,
+                        self._electionPath,
+                        self._handleActive.bind(self),
+                        onWatching);
+    }
+
+    vasync.pipeline({
+        'funcs': [
+            watchClusterState,
+            watchEphemeralDirectory
+        ]
+    }, function (err) {
+        log.debug('zk: done setting up watches');
+        return (cb(err));
+    });
+};
+
+/**
+ * Inits the zookeeper session, and sets up the watches each time a new
+ * zookeeper client connects.
+ */
+Manatee.prototype._init = function _init() {
+    var self = this;
+    var log = self._log;
+
+    log.debug('init: entered');
+
+    if (self._closed) {
+        return;
+    }
+
+    var emitReady = once(function emitReadyFunc() {
+        var cached = self._cached;
+        if (cached) {
+            //Replace the cached view with what was just read.
+            var source = self._currentSource();
+            self._setSource(source);
+            var peers = [];
+            if (source === 'clusterState') {
+                peers = self._clusterStateToPeers(self._clusterState);
+            } else if (source === 'election') {
+                peers = self._childrenToPeers(self._actives);
+            }
+            self._handleTopologyChange(peers, {
+                source: source || 'clusterState'
+            });
+            self._cached = false;
+        }
+        self._inited = true;
+        self._startupPhase = null;
+        self._clearStartupTimers();
+        self._saveCache();
+        process.nextTick(function emitInitial() {
+            if (self._closed) {
+                return;
+            }
+            //The cached view was already emitted with ready.
+            if (!cached) {
+                self.emit('ready');
+            }
+            self.emit('topology', self._urls);
+            self.emit('peers', self._peers);
+            if (self._clusterState) {
+                self.emit('clusterState', self._clusterState);
+            }
+            self._checkDivergence();
+        });
+    });
+
+    self._startupPhase = self._sourceCfg ? 'source' : 'connect';
+    self._startStartupTimers();
+
+    if (self._sourceCfg) {
+        return (self._initSource(emitReady));
+    }
+
+    if (self._cacheFile !== null) {
+        self._startupTimers.push(setTimeout(function () {
+            self._loadCache();
+        }, self._cacheWindow));
+    }
+
+    if (self._ownSession) {
+        self._session = new ZkSession({
+            log: log,
+            zk: self._zkCfg,
+            retry: self._retry
+        });
+    } else if (self._zkConnection) {
+        self._session = self._zkConnection.acquire(self._zkCfg);
+    }
+    if (self._ownSession || self._zkConnection) {
+        self._onSessionError = function onSessionError(err) {
+            log.error(err, 'zk: giving up on the session');
+            self._emitError(err);
+        };
+        self._session.on('error', self._onSessionError);
+    }
+
+    //The session emits connected whenever the client is disconnected and
+    // reconnected (more than just the first time).  The watches survive a
+    // reconnect, so we only need to set them up once per client.
+    var watching = null;
+    self._onSessionConnected = function onSessionConnected(zk) {
+        self._metrics.increment('zk_connects');
+        self._zk = zk;
+        self._hasConnected = true;
+        if (watching === zk) {
+            self._recover();
+            return;
+        }
+        watching = zk;
+        self._setWatches(zk, function (err) {
+            if (err) {
+                log.error(err, 'zk: err setting up data, reiniting');
+                return (self._session.reset(zk));
+            } else {
+                emitReady();
+                self._recover();
+            }
+        });
+    };
+    self._onSessionDisconnected = function onSessionDisconnected() {
+        self._metrics.increment('zk_disconnects');
+        self._degrade('disconnected');
+    };
+    self._onSessionExpired = function onSessionExpired() {
+        self._metrics.increment('zk_expirations');
+        //The watches went with the session, until they're set up again.
+        Object.keys(self._watches).forEach(function (p) {
+            self._watches[p].registered = false;
+        });
+        self._degrade('expired');
+    };
+    self._session.on('connected', self._onSessionConnected);
+    self._session.on('disconnected', self._onSessionDisconnected);
+    self._session.on('expired', self._onSessionExpired);
+
+    if (self._ownSession) {
+        self._session.connect();
+    } else if (self._session.isConnected()) {
+        self._onSessionConnected(self._session.zk);
+    }
+};
+
+
+/**
+ * Starts with the topology saved in the cache file, if zookeeper couldn't be
+ * reached in time.  Any problem with the file is logged, and the client keeps
+ * waiting for zookeeper.
+ */
+Manatee.prototype._loadCache = function loadCache() {
+    var self = this;
+    var log = self._log;
+
+    mod_fs.readFile(self._cacheFile, 'utf8', function (err, data) {
+        if (self._inited || self._closed) {
+            return;
+        }
+        var cache;
+        if (!err) {
+            try {
+                cache = JSON.parse(data);
+                assert.arrayOfString(cache.topology, 'topology');
+                assert.arrayOfObject(cache.peers, 'peers');
+                assert.optionalObject(cache.clusterState, 'clusterState');
+                assert.string(cache.savedAt, 'savedAt');
+            } catch (e) {
+                err = e;
+            }
+        }
+        if (err) {
+            log.warn({err: err, file: self._cacheFile},
+                'zk: not reachable, and can\'t use the topology cache');
+            return;
+        }
+
+        var cachedAt = new Date(cache.savedAt);
+        var marker = { stale: true, cachedAt: cachedAt };
+        log.warn({file: self._cacheFile, cachedAt: cachedAt},
+            'zk: not reachable, starting with the cached topology');
+        self._cached = true;
+        self._inited = true;
+        self._urls = cache.topology;
+        self._peers = cache.peers;
+        self._clusterState = cache.clusterState || null;
+        self._lastConfirmedAt = cachedAt;
+        self._degradedAt = new Date();
+
+        process.nextTick(function emitCached() {
+            if (self._closed || !self._cached) {
+                return;
+            }
+            self.emit('ready');
+            self.emit('topology', self._urls, marker);
+            self.emit('peers', self._peers, marker);
+            if (self._clusterState) {
+                self.emit('clusterState', self._clusterState, marker);
+            }
+            self.emit('degraded', {
+                reason: 'cache',
+                lastConfirmedAt: cachedAt
+            });
+        });
+    });
+};
+
+/**
+ * Saves the current topology and cluster state to the cache file, if there is
+ * one.  The file is replaced atomically, so a crash can't leave it half
+ * written.
+ */
+Manatee.prototype._saveCache = function saveCache() {
+    var self = this;
+
+    if (self._cacheFile === null || self._sourceCfg || !self._inited ||
+        self._cached || self._closed) {
+        return;
+    }
+    if (self._cacheWriting) {
+        self._cacheDirty = true;
+        return;
+    }
+    self._cacheWriting = true;
+    self._cacheDirty = false;
+
+    var data = JSON.stringify({
+        savedAt: new Date(),
+        topology: self._urls,
+        peers: self._peers,
+        clusterState: self._clusterState
+    }) + '\n';
+    var tmp = self._cacheFile + '.' + process.pid + '.tmp';
+
+    function done(err) {
+        self._cacheWriting = false;
+        if (err) {
+            self._log.warn({err: err, file: self._cacheFile},
+                'error writing topology cache');
+        }
+        if (self._closed) {
+            if (self._onCacheWritten) {
+                self._onCacheWritten();
+                self._onCacheWritten = null;
+            }
+            return;
+        }
+        if (self._cacheDirty) {
+            self._saveCache();
+        }
+    }
+
+    mod_fs.writeFile(tmp, data, function (err) {
+        if (err) {
+            return (done(err));
+        }
+        return (mod_fs.rename(tmp, self._cacheFile, done));
+    });
+};
+
+/**
+ * Called when the topology can no longer be confirmed with zookeeper, because
+ * the connection was lost or the session expired.
+ */
+Manatee.prototype._degrade = function degrade(reason) {
+    var self = this;
+
+    if (!self._inited || self._closed || self._degradedAt !== null) {
+        return;
+    }
+    self._degradedAt = new Date();
+    self._log.warn({
+        reason: reason,
+        lastConfirmedAt: self._lastConfirmedAt
+    }, 'zk: topology can no longer be confirmed');
+    self.emit('degraded', {
+        reason: reason,
+        lastConfirmedAt: self._lastConfirmedAt
+    });
+};
+
+/**
+ * Called when the client has reconnected to zookeeper and its watches are in
+ * place, so the topology is current again.
+ */
+Manatee.prototype._recover = function recover() {
+    var self = this;
+
+    self._lastConfirmedAt = new Date();
+    if (self._degradedAt === null || self._closed) {
+        return;
+    }
+    var degradedFor = self._lastConfirmedAt.getTime() -
+        self._degradedAt.getTime();
+    self._degradedAt = null;
+    self._log.info({degradedFor: degradedFor}, 'zk: topology confirmed');
+    self.emit('recovered', {
+        lastConfirmedAt: self._lastConfirmedAt,
+        degradedFor: degradedFor
+    });
+};
+
+/**
+ * Starts the connect and ready deadlines.  When one passes, the client emits an
+ * error named for what it's still waiting on, but carries on trying.
+ */
+Manatee.prototype._startStartupTimers = function startStartupTimers() {
+    var self = this;
+
+    function check(what, timeout) {
+        var phase = self._startupPhase;
+        if (self._inited || self._closed || phase === null) {
+            return;
+        }
+        if (what === 'connect' && self._hasConnected) {
+            return;
+        }
+        var msg;
+        switch (phase) {
+        case 'connect':
+            msg = util.format('connecting to zookeeper at %s',
+                self._zkCfg ? self._zkCfg.connStr :
+                self._session._zkCfg.connStr);
+            break;
+        case 'state':
+            msg = util.format('setting up watch on %s',
+                self._clusterStatePath);
+            break;
+        case 'election':
+            msg = util.format('setting up watch on %s', self._electionPath);
+            break;
+        default:
+            msg = 'reading the topology source';
+            break;
+        }
+        var err = new verror.VError({
+            name: STARTUP_ERRORS[phase],
+            info: {
+                phase: phase,
+                timeout: timeout
+            }
+        }, 'client not %s after %dms: stalled %s',
+            what === 'connect' ? 'connected' : 'ready', timeout, msg);
+        self._log.error({err: err}, 'client startup timed out');
+        self._emitError(err);
+    }
+
+    if (self._connectTimeout !== undefined && !self._sourceCfg) {
+        self._startupTimers.push(setTimeout(check, self._connectTimeout,
+            'connect', self._connectTimeout));
+    }
+    if (self._readyTimeout !== undefined) {
+        self._startupTimers.push(setTimeout(check, self._readyTimeout,
+            'ready', self._readyTimeout));
+    }
+};
+
+Manatee.prototype._clearStartupTimers = function clearStartupTimers() {
+    this._startupTimers.forEach(function (timer) {
+        clearTimeout(timer);
+    });
+    this._startupTimers = [];
+};
+
+/**
+ * Reads the topology from a source other than zookeeper.  There's no election
+ * to fall back to, so if the source has no cluster state, the topology is
+ * empty.
+ */
+Manatee.prototype._initSource = function initSource(emitReady) {
+    var self = this;
+    var log = self._log;
+
+    self._actives = [];
+    self._source = mod_sources.createSource(self._sourceCfg, log);
+
+    self._source.on('state', function (data) {
+        self._handleClusterState(data ? { data: data } : null);
+        emitReady();
+    });
+
+    self._source.on('error', function (err) {
+        log.error({err: err}, 'topology source emitted error');
+        self._emitError(err);
+    });
+
+    self._source.start();
+};
+
+/**
+ * Will call the way function on any change to the node or its children.
+ * returns the following structure:
+ *
+ * {
+ *    'data': ...         //can be null
+ *    'children': [ ... ] //can be empty or null)
+ *    'version': ...      //can be null
+ * }
+ *
+ * When all elements are null it means that the node doesn't exist
+ *
+ * Zookeeper watches will only fire once.  That's right.  Once.  So anytime
+ * a watch fires we need to re-register the watch.
+ *
+ * The wat function is called each time something changes.
+ * The cb is only called once, after the watch is initally set with the initial
+ * read.
+ *
+ * Failed reads are retried following the retry policy, and an error is emitted
+ * if the retries run out.
+ */
+Manatee.prototype._watchNode = function _watchNode(zk, path, wat, cb) {
+    var self = this;
+    var currStat = null;
+    var currChildren = null;
+    var currData = null;
+    /** @type {Object} The arguments of the read waiting to be retried */
+    var dataRetry = null;
+    var childrenRetry = null;
+    var dataBackoff = createBackoff(self._retry);
+    var childrenBackoff = createBackoff(self._retry);
+    //The watch is set up again for each new session, so the backoffs of the
+    // last one are cancelled and let go.
+    if (self._backoffs[path]) {
+        resetBackoffs(self._backoffs[path]);
+    }
+    self._backoffs[path] = [ dataBackoff, childrenBackoff ];
+    /** @type {Object} How the watch is doing, for getStatus */
+    var status = {
+        path: path,
+        registered: false,
+        registeredAt: null,
+        errors: 0
+    };
+    self._watches[path] = status;
+
+    cb = once(cb);
+
+    //Stop once the client is closed, or when the session has moved on to a
+    // new zookeeper client, which sets up watches of its own.
+    function stopped() {
+        return (self._closed || self._session.zk !== zk);
+    }
+
+    function watchRegistered(err) {
+        self._metrics.increment(err ? 'watch_errors' : 'watch_registrations');
+        status.registered = !err;
+        if (err) {
+            status.errors++;
+        } else {
+            status.registeredAt = new Date();
+        }
+    }
+
+    //A read that fails while a retry of it is already waiting is folded into
+    // that retry.
+    function retryData(regWatch, err) {
+        if (stopped()) {
+            return;
+        }
+        watchRegistered(err);
+        if (dataRetry !== null) {
+            dataRetry.regWatch = dataRetry.regWatch || regWatch;
+            return;
+        }
+        self._log.warn({err: err, path: path}, 'zk: getData failed, retrying');
+        dataRetry = { regWatch: regWatch };
+        dataBackoff.backoff();
+    }
+    function retryChildren(subcb, err) {
+        if (stopped()) {
+            return;
+        }
+        watchRegistered(err);
+        if (childrenRetry !== null) {
+            childrenRetry.subcb = childrenRetry.subcb || subcb;
+            return;
+        }
+        self._log.warn({err: err, path: path},
+            'zk: getChildren failed, retrying');
+        childrenRetry = { subcb: subcb };
+        childrenBackoff.backoff();
+    }
+    //Retrying won't help if zookeeper won't let us read the node.  If the
+    // session failed to authenticate, that's reported by the session.
+    function authFailed(err) {
+        if (err.name === 'AUTH_FAILED') {
+            return (true);
+        }
+        if (err.name !== 'NO_AUTH') {
+            return (false);
+        }
+        if (!stopped()) {
+            var authErr = zkAuthError('NO_AUTH', self._session._zkCfg, path);
+            self._log.error(authErr, 'zk: not authorized to watch');
+            self._emitError(authErr);
+        }
+        return (true);
+    }
+    function giveUp(operation) {
+        if (stopped()) {
+            return;
+        }
+        var err = retriesExhaustedError(operation, self._retry, {path: path});
+        self._log.error(err, 'zk: giving up on watch');
+        self._emitError(err);
+    }
+    dataBackoff.on('ready', function () {
+        var regWatch = dataRetry.regWatch;
+        dataRetry = null;
+        getData(regWatch);
+    });
+    dataBackoff.on('fail', function () {
+        dataRetry = null;
+        giveUp('getData');
+    });
+    childrenBackoff.on('ready', function () {
+        var subcb = childrenRetry.subcb;
+        childrenRetry = null;
+        registerChildrenWatch(subcb);
+    });
+    childrenBackoff.on('fail', function () {
+        childrenRetry = null;
+        giveUp('getChildren');
+    });
+
+    function getRes() {
+        return ({
+            data: currData ? currData : null,
+            version: currStat ? currStat.version : null,
+            children: currChildren ? currChildren : null
+        });
+    }
+
+    //The event this gives back isn't what it changed to, only that it
+    // changed.
+    function dataWatchFired(event) {
+        if (stopped()) {
+            return;
+        }
+        return (getData(true));
+    }
+    function childrenWatchFired(event) {
+        if (stopped()) {
+            return;
+        }
+        return (registerChildrenWatch());
+    }
+    function getData(regWatch) {
+        if (stopped()) {
+            return;
+        }
+        zk.getData(path, function (err, data, stat) {
+            if (err && err.name !== 'NO_NODE') {
+                if (authFailed(err)) {
+                    return;
+                }
+                return (retryData(regWatch, err));
+            }
+            if (dataRetry === null) {
+                dataBackoff.reset();
+            }
+            var prevStat = currStat;
+            currStat = stat;
+            currData = data;
+            if (err) {
+                err = null;
+                currChildren = null;
+            }
+
+            function done() {
+                if (regWatch) {
+                    registerDataWatch();
+                }
+            }
+
+            // Init
+            if (!cb.called) {
+                // If we exist, we need to set up the children watch.
+                if (currStat) {
+                    registerChildrenWatch(done);
+                } else {
+                    cb(null, getRes());
+                    done();
+                }
+                // After Init
+            } else {
+                // Ongoing, if we are newly created, we need to set up the
+                // children watch again since the old disappears into the ether
+                if (!prevStat && currStat && currStat.version === 0) {
+                    registerChildrenWatch(done);
+                } else {
+                    wat(getRes());
+                    done();
+                }
+            }
+        });
+    }
+    function registerChildrenWatch(subcb) {
+        if (stopped()) {
+            return;
+        }
+        zk.getChildren(path, childrenWatchFired, function (err, children) {
+            if (err && err.name === 'NO_NODE') {
+                return;
+            }
+            if (err) {
+                if (authFailed(err)) {
+                    return;
+                }
+                return (retryChildren(subcb, err));
+            }
+            if (childrenRetry === null) {
+                childrenBackoff.reset();
+            }
+            watchRegistered(null);
+            currChildren = children;
+            // Init
+            if (!cb.called) {
+                cb(null, getRes());
+                // After Init
+            } else {
+                wat(getRes());
+            }
+            if (subcb) {
+                subcb();
+            }
+        });
+    }
+    function registerDataWatch() {
+        if (stopped()) {
+            return;
+        }
+        zk.exists(path, dataWatchFired, function (err, stat) {
+            watchRegistered(err);
+            //We might have missed a watch while we were processing "other
+            // things" Just fetch the data.  We'll only register a watch when
+            // the watch fires.
+            if (stat && currStat && currStat.version !== stat.version) {
+                getData(false);
+            }
+        });
+    }
+    getData(true);
+};
+
+/**
+ * The peers in the shard's election, as for electionPeers, with urls in the
+ * form given by the client's electionUrls option.
+ *
+ * @param {string[]} children The names of the election nodes.
+ * @return {Object[]} The array of role-labelled peers, primary first.
+ */
+Manatee.prototype._childrenToPeers = function childrenToPeers(children) {
+    return (electionPeers(children, this._electionUrls === 'full'));
+};
+
+/**
+ * Cluster state looks like this:
+ *
+ * {
+ *   ...
+ *   "primary": {
+ *     "id": "10.77.77.52:5432:12345",
+ *     "zoneId": "cc6bd5d5-2e8d-4bbf-b1b0-ff3f1bd3cf5c",
+ *     "ip": "10.77.77.52",
+ *     "pgUrl": "tcp://postgres@10.77.77.52:5432/postgres",
+ *     "backupUrl": "http://10.77.77.52:12345"
+ *   },
+ *   "sync": <same as primary>,
+ *   "async": [ <same as primary>, ... ]
+ *   ...
+ * }
+ *
+ * @param {Object} cs The parsed cluster state.
+ * @return {Object[]} The array of role-labelled peers, primary first.  Each
+ * peer's active is whether it has a node in the election, or null if there's
+ * no election (with a source).
+ */
+Manatee.prototype._clusterStateToPeers = function clusterStateToPeers(cs) {
+    var peers = [];
+    //Without an election to check against, it isn't known which are active.
+    var nodes = this._sourceCfg ? null :
+        (this._actives || []).map(parseElectionNode);
+
+    if (cs.primary) {
+        peers.push(clusterStatePeer('primary', cs.primary));
+    }
+    if (cs.sync) {
+        peers.push(clusterStatePeer('sync', cs.sync));
+    }
+    if (cs.async) {
+        cs.async.forEach(function (a) {
+            peers.push(clusterStatePeer('async', a));
+        });
+    }
+    peers.forEach(function (p) {
+        p.active = nodes === null ? null : nodes.some(function (n) {
+            return (isSamePeer(p, n));
+        });
+    });
+    return (peers);
+};
+
+/**
+ * Parses the name of a node in a shard's election directory.
+ *
+ * @param {string} name The node name, e.g.
+ * 10.77.77.9:5432:12345:12222-0000000057, i.e. ip:pgPort:backupPort:hbPort-seq.
+ * Previous versions of manatee only used the ip, e.g. 10.77.77.9-0000000057.
+ * @return {Object} The fields of the name, e.g. {name: '10.77.77.9:5432:...',
+ * id: '10.77.77.9:5432:12345', ip: '10.77.77.9', pgPort: 5432,
+ * backupPort: 12345, hbPort: 12222, seq: 57, legacy: false}.  Fields missing
+ * from the name are null, and legacy is true for names in the old format.
+ */
+function parseElectionNode(name) {
+    assert.string(name, 'name');
+
+    var dash = name.lastIndexOf('-');
+    var encoded = dash === -1 ? name : name.substring(0, dash);
+    var seq = dash === -1 ? NaN : parseInt(name.substring(dash + 1), 10);
+    var data = encoded.split(':');
+
+    function port(i) {
+        var p = data[i] ? parseInt(data[i], 10) : NaN;
+        return (isNaN(p) ? null : p);
+    }
+
+    /*
+     * if we're using the legacy format, there will not be ':', and as such
+     * the split will return an array of length 1
+     */
+    var legacy = data.length === 1;
+    return ({
+        name: name,
+        id: legacy ? data[0] : data.slice(0, 3).join(':'),
+        ip: data[0],
+        pgPort: port(1),
+        backupPort: port(2),
+        hbPort: port(3),
+        seq: isNaN(seq) ? null : seq,
+        legacy: legacy
+    });
+}
+
+/**
+ * Election nodes are postfixed with -123456. so sort by the number after -,
+ * and you'll have:
+ * [primary, sync, async, ..., asyncn]
+ *
+ * @param {string[]} children The names of the election nodes.
+ * @param {boolean} full Whether to give full Postgres urls.
+ * @return {Object[]} The array of peers, labelled with the role implied by
+ * their position in the election. e.g.
+ * [{role: 'primary', pgUrl: 'tcp://10.0.0.0:5432', id: '10.0.0.0:5432:12345',
+ * zoneId: null, ip: '10.0.0.0', pgPort: 5432, backupPort: 12345,
+ * hbPort: 12222, seq: 57, legacy: false, active: true}]
+ * The pgUrl is of the form tcp://postgres@10.0.0.0:5432/postgres instead if
+ * full is true.
+ */
+function electionPeers(children, full) {
+    var nodes = (children || []).map(parseElectionNode).sort(function (a, b) {
+        return (a.seq - b.seq);
+    });
+
+    return (nodes.map(function (node, i) {
+        var host = node.ip + (node.pgPort !== null ? ':' + node.pgPort : '');
+        return ({
+            role: roleAt(i),
+            pgUrl: full ? 'tcp://postgres@' + host + '/postgres' :
+                'tcp://' + host,
+            id: node.id,
+            zoneId: null,
+            ip: node.ip,
+            pgPort: node.pgPort,
+            backupPort: node.backupPort,
+            hbPort: node.hbPort,
+            seq: node.seq,
+            legacy: node.legacy,
+            active: true
+        });
+    }));
+}
+
+/**
+ * The role of the peer at the given position in an ordered topology.
+ */
+function roleAt(i) {
+    if (i === 0) {
+        return ('primary');
+    }
+    return (i === 1 ? 'sync' : 'async');
+}
+
+/**
+ * Builds a role-labelled peer from a peer object in the cluster state.  Older
+ * cluster states may only carry a pgUrl, so everything else is derived from
+ * the urls where possible.
+ */
+function clusterStatePeer(role, p) {
+    var pgUrl = p.pgUrl ? mod_url.parse(p.pgUrl) : {};
+    var backupUrl = p.backupUrl ? mod_url.parse(p.backupUrl) : {};
+
+    return ({
+        role: role,
+        pgUrl: p.pgUrl,
+        id: p.id || null,
+        zoneId: p.zoneId || null,
+        ip: p.ip || pgUrl.hostname || null,
+        pgPort: pgUrl.port ? parseInt(pgUrl.port, 10) : null,
+        backupPort: backupUrl.port ? parseInt(backupUrl.port, 10) : null,
+        hbPort: null,
+        seq: null,
+        legacy: false,
+        active: null
+    });
+}
+
+/**
+ * Whether a peer from the cluster state is the one that created an election
+ * node.  Cluster states written by Manatee v2 have the same id as the node.
+ * Otherwise they're matched on the ip, and the Postgres port if both have one.
+ */
+function isSamePeer(peer, node) {
+    if (peer.id !== null && !node.legacy) {
+        return (peer.id === node.id);
+    }
+    return (peer.ip === node.ip && (peer.pgPort === null ||
+        node.pgPort === null || peer.pgPort === node.pgPort));
+}
+
+
+/**
+ * Creates a zookeeper client from the zk options, with the client module given
+ * in the options if there is one.
+ */
+function createZkClient(zkCfg) {
+    var mod = zkCfg.module || zkClient;
+    var zk = mod.createClient(zkCfg.connStr, zkCfg.opts);
+    zkAuthInfo(zkCfg.auth).forEach(function (a) {
+        zk.addAuthInfo(a.scheme, a.auth);
+    });
+    return (zk);
+}
+
+/**
+ * Validates the auth in the zk options, and returns it as an array of
+ * {scheme, auth}, with the credentials as a Buffer, ready for addAuthInfo.
+ */
+function zkAuthInfo(auth) {
+    if (auth === undefined || auth === null) {
+        return ([]);
+    }
+    var auths = Array.isArray(auth) ? auth : [ auth ];
+    return (auths.map(function (a) {
+        assert.object(a, 'options.zk.auth');
+        assert.string(a.scheme, 'options.zk.auth.scheme');
+        assert.ok(typeof (a.credentials) === 'string' ||
+            Buffer.isBuffer(a.credentials),
+            'options.zk.auth.credentials must be a string or Buffer');
+        return ({
+            scheme: a.scheme,
+            auth: Buffer.isBuffer(a.credentials) ? a.credentials :
+                new Buffer(a.credentials)
+        });
+    }));
+}
+
+/**
+ * Returns the error for zookeeper rejecting the client's credentials, either
+ * when they're added to the session (reason authenticationFailed), or when
+ * reading a node (reason NO_AUTH).
+ */
+function zkAuthError(reason, zkCfg, path) {
+    var info = {
+        reason: reason,
+        schemes: zkAuthInfo(zkCfg.auth).map(function (a) {
+            return (a.scheme);
+        })
+    };
+    if (path) {
+        info.path = path;
+    }
+    return (new verror.VError({
+        name: 'ZkAuthError',
+        info: info
+    }, reason === 'NO_AUTH' ? 'not authorized to read %s' :
+        'zookeeper rejected the credentials%s', path || ''));
+}
+
+
+/**
+ * A zookeeper session that replaces its client whenever the session expires
+ * or the client errors.  Consumers listen for connected, which is emitted with
+ * the current client each time it connects.
+ *
+ * Each replacement is delayed following the retry policy, whether or not the
+ * old client had connected, so a zookeeper that keeps expiring sessions isn't
+ * reconnected to in a tight loop.  The delay starts over once a client
+ * connects.
+ *
+ * @constructor
+ * @augments EventEmitter
+ *
+ * @param {object} options Session options.
+ * @param {Bunyan} options.log Bunyan logger.
+ * @param {object} options.zk ZK client options, as for the Manatee client.
+ * @param {object} [options.retry] Retry policy, as for the Manatee client.
+ *
+ * @fires connected When a client connects or reconnects, with the client.
+ * @fires disconnected When the connection to the server is dropped.
+ * @fires expired When the session expires, before the client is replaced.
+ * @fires error If the client has been replaced too many times in a row
+ * without connecting, or fails to authenticate.  The session gives up at that
+ * point.
+ */
+function ZkSession(options) {
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+    assert.object(options.zk, 'options.zk');
+    assert.optionalObject(options.retry, 'options.retry');
+    zkAuthInfo(options.zk.auth);
+
+    var self = this;
+    EventEmitter.call(this);
+
+    this._log = options.log;
+    this._zkCfg = options.zk;
+    this._zk = null;
+    this._connected = false;
+    this._closed = false;
+    this._retry = retryPolicy(options.retry);
+    this._backoff = createBackoff(this._retry);
+    this._backoff.on('ready', function () {
+        self.connect();
+    });
+    this._backoff.on('fail', function () {
+        var err = retriesExhaustedError('connect', self._retry);
+        self._log.error(err, 'zk: giving up reconnecting');
+        self.emit('error', err);
+    });
+    //Every client sharing the session listens for connected.
+    this.setMaxListeners(0);
+
+    this.__defineGetter__('zk', function zk() {
+        return (this._zk);
+    });
+}
+util.inherits(ZkSession, EventEmitter);
+
+ZkSession.prototype.isConnected = function isConnected() {
+    return (this._connected);
+};
+
+ZkSession.prototype.connect = function connect() {
+    var self = this;
+    var log = self._log;
+
+    if (self._closed) {
+        return;
+    }
+
+    var zk = createZkClient(self._zkCfg);
+    self._zk = zk;
+    self._connected = false;
+
+    function current() {
+        return (zk === self._zk);
+    }
+
+    //Creator says this is "Java Style"
+    zk.on('state', function (s) {
+        //Just log it.  The other events are called.
+        log.trace(s, 'zk: new state');
+    });
+
+    //Client is connected and ready. This fires whenever the client is
+    // disconnected and reconnected (more than just the first time).
+    zk.on('connected', function () {
+        if (!current()) {
+            return;
+        }
+        log.debug(zk.getSessionId(), 'zk: connected');
+        self._connected = true;
+        self._backoff.reset();
+        self.emit('connected', zk);
+    });
+
+    //Client is connected to a readonly server.
+    zk.on('connectedReadOnly', function () {
+        //Don't do anything for this.
+        log.debug('zk: connected read only');
+    });
+
+    //The connection between client and server is dropped.
+    zk.on('disconnected', function () {
+        if (!current()) {
+            return;
+        }
+        log.debug('zk: disconnected');
+        self._connected = false;
+        self.emit('disconnected');
+    });
+
+    //The client session is expired.
+    zk.on('expired', function () {
+        //This causes the client to "go away".  A new one should be
+        // created after this.
+        log.info('zk: session expired, reiniting.');
+        if (current()) {
+            self.emit('expired');
+        }
+        self.reset(zk);
+    });
+
+    //Failed to authenticate with the server.  The session can't be used,
+    // and a new one would fail the same way.
+    zk.on('authenticationFailed', function () {
+        if (!current()) {
+            return;
+        }
+        var err = zkAuthError('authenticationFailed', self._zkCfg);
+        log.fatal(err, 'zk: auth failed');
+        self.emit('error', err);
+    });
+
+    //Not even sure if this is really an error that would be emitted...
+    zk.on('error', function (err) {
+        //Create a new ZK.
+        log.warn({err: err}, 'zk: unexpected error, reiniting');
+        self.reset(zk);
+    });
+
+    zk.connect();
+};
+
+/**
+ * Closes the given client and creates a new one after backing off, so that
+ * the clients of a fleet don't all reconnect at once after an outage.  This is
+ * a no-op if the client has already been replaced, so that many callers can
+ * reset the same client at once.
+ */
+ZkSession.prototype.reset = function reset(zk) {
+    var self = this;
+
+    if (self._closed || zk !== self._zk) {
+        return;
+    }
+
+    self._zk = null;
+    self._connected = false;
+    zk.close();
+    self._backoff.backoff();
+};
+
+ZkSession.prototype.close = function close() {
+    var self = this;
+    var log = self._log;
+
+    self._closed = true;
+    self._connected = false;
+    self._backoff.reset();
+    if (self._zk) {
+        self._zk.removeAllListeners();
+        self._zk.on('error', function (err) {
+            log.error({err: err}, 'err after zk close');
+        });
+        self._zk.close();
+        self._zk = null;
+    }
+};
+
+
+/**
+ * Shares zookeeper sessions between the clients in a process.  Clients given
+ * the manager as their zkConnection option use one session per connection
+ * string (and credentials and client module), which is connected when the
+ * first of them starts, and closed when the last of them closes.  Each client
+ * sets up its own watches again whenever the session is replaced.
+ *
+ * The options of the first client to use a connection string are the ones its
+ * session is created with.
+ *
+ * @constructor
+ *
+ * @param {object} [options] Manager options.
+ * @param {Bunyan} [options.log] Bunyan logger.
+ * @param {object} [options.retry] How to retry reconnecting, as for the
+ * Manatee client.
+ *
+ * @throws {Error} If the options object is malformed.
+ */
+function ZkConnectionManager(options) {
+    options = options || {};
+    assert.object(options, 'options');
+    assert.optionalObject(options.log, 'options.log');
+    assert.optionalObject(options.retry, 'options.retry');
+
+    this._log = createLogger(options.log);
+    this._retry = retryPolicy(options.retry);
+    /**
+     * @type {Object[]} The sessions in use, as {zk: the zk options, session,
+     * refs: the number of clients using it}
+     */
+    this._entries = [];
+}
+
+/**
+ * Returns the session for the given zk options, creating and connecting it if
+ * no client is using one yet.  Each call must be paired with a release.
+ */
+ZkConnectionManager.prototype.acquire = function acquire(zkCfg) {
+    var self = this;
+    assert.object(zkCfg, 'zkCfg');
+    var auth = JSON.stringify(zkCfg.auth || null);
+
+    var entry = null;
+    self._entries.forEach(function (e) {
+        if (!e.failed && e.zk.connStr === zkCfg.connStr &&
+            e.zk.module === zkCfg.module &&
+            JSON.stringify(e.zk.auth || null) === auth) {
+            entry = e;
+        }
+    });
+
+    if (entry === null) {
+        entry = {
+            zk: zkCfg,
+            session: new ZkSession({
+                log: self._log,
+                zk: zkCfg,
+                retry: self._retry
+            }),
+            refs: 0,
+            failed: false
+        };
+        //Once the session has given up, clients that start later get a new
+        // one.  The clients using it have been sent the error.
+        entry.session.on('error', function () {
+            entry.failed = true;
+        });
+        self._entries.push(entry);
+        self._log.debug({connStr: zkCfg.connStr}, 'zk: new shared session');
+        entry.session.connect();
+    }
+    entry.refs++;
+    return (entry.session);
+};
+
+/**
+ * Stops using a session returned by acquire.  The session is closed once no
+ * client is using it.
+ */
+ZkConnectionManager.prototype.release = function release(session) {
+    var self = this;
+
+    for (var i = 0; i < self._entries.length; i++) {
+        var entry = self._entries[i];
+        if (entry.session !== session) {
+            continue;
+        }
+        if (--entry.refs === 0) {
+            self._log.debug({connStr: entry.zk.connStr},
+                'zk: closing shared session');
+            self._entries.splice(i, 1);
+            session.close();
+        }
+        return;
+    }
+};
+
+/**
+ * Returns the sessions in use, as [{connStr, clients, connected}].
+ */
+ZkConnectionManager.prototype.getSessions = function getSessions() {
+    return (this._entries.map(function (e) {
+        return ({
+            connStr: e.zk.connStr,
+            clients: e.refs,
+            connected: e.session.isConnected()
+        });
+    }));
+};
+
+
+/**
+ * Create a client that watches many Manatee shards over a single zookeeper
+ * session.
+ *
+ * @constructor
+ * @augments EventEmitter
+ *
+ * @param {object} options Multi-shard options.
+ * @param {Bunyan} [options.log] Bunyan logger.
+ * @param {string} [options.root] ZK path under which every child is a shard,
+ * for example: /manatee.  Shards are added and removed as children of the root
+ * come and go.
+ * @param {string[]} [options.paths] ZK paths of the shards to watch, if not
+ * watching everything under a root.  The shards must have different names
+ * (the last part of their paths).
+ * @param {object} options.zk ZK client options, as for the Manatee client.
+ * @param {object} [options.retry] Retry policy, as for the Manatee client.
+ * @param {string} [options.electionUrls] The form of election URLs, as for the
+ * Manatee client.
+ * @param {string} [options.mode] Where topologies come from, as for the
+ * Manatee client.
+ * @param {number} [options.settleMs] How long to hold topology changes, as for
+ * the Manatee client.
+ * @param {number} [options.settleMaxMs] The longest to hold topology changes,
+ * as for the Manatee client.
+ *
+ * @throws {Error} If the options object is malformed.
+ *
+ * @fires shardAdded When a shard is being watched, with the shard name.
+ * @fires shardRemoved When a shard is no longer watched, with the shard name.
+ * @fires topology When the topology of a shard has changed, with the shard
+ * name and the array of Postgres URLs.
+ * @fires peers When the peers of a shard have changed, with the shard name and
+ * the array of peers.
+ * @fires clusterState When the cluster state of a shard has changed, with the
+ * shard name and the cluster state.
+ * @fires topologyPending When a change to a shard's topology is being held,
+ * or has been released, with the shard name and true or false.
+ * @fires sourceChanged When a shard's topology switches source, with the shard
+ * name and the details, as for the Manatee client.
+ * @fires divergence When a shard's cluster state and election diverge or agree
+ * again, with the shard name and the details, as for the Manatee client.
+ * @fires degraded When a shard's topology can no longer be confirmed, with the
+ * shard name and the details, as for the Manatee client.
+ * @fires recovered When a shard's topology is confirmed again, with the shard
+ * name and the details, as for the Manatee client.
+ * @fires ready When the initial shards are ready.
+ * @fires error If there is an error with any of the shards.
+ */
+function ManateeMultiShard(options) {
+    assert.object(options, 'options');
+    assert.optionalObject(options.log, 'options.log');
+    assert.optionalString(options.root, 'options.root');
+    if (options.paths !== undefined) {
+        assert.arrayOfString(options.paths, 'options.paths');
+        //Shards are known by the last part of their path.
+        var names = {};
+        options.paths.forEach(function (p) {
+            var name = shardName(p);
+            assert.ok(!names[name], 'options.paths has more than one shard ' +
+                'named ' + name);
+            names[name] = true;
+        });
+    }
+    assert.ok(!options.root !== !options.paths,
+        'exactly one of options.root or options.paths is required');
+    assert.object(options.zk, 'options.zk');
+    assert.optionalObject(options.retry, 'options.retry');
+
+    var self = this;
+    EventEmitter.call(this);
+
+    self._log = createLogger(options.log);
+    self._root = options.root || null;
+    self._retry = retryPolicy(options.retry);
+    self._electionUrls = options.electionUrls;
+    self._mode = options.mode;
+    self._settleMs = options.settleMs;
+    self._settleMaxMs = options.settleMaxMs;
+    /** @type {Metrics} Metrics of the session and the watch on the root */
+    self._metrics = new mod_metrics.Metrics();
+    self._session = new ZkSession({
+        log: self._log,
+        zk: options.zk,
+        retry: self._retry
+    });
+    /** @type {Object} Shard name to the Manatee client for that shard */
+    self._shards = {};
+    /** @type {Object} Names of the shards that have emitted their topology */
+    self._readyShards = {};
+    self._inited = false;
+    self._closed = false;
+    self._shutDown = false;
+    self._closeCbs = [];
+    /** @type {Object} Path to the backoffs of the watch on it */
+    self._backoffs = {};
+    /** @type {Object} Path to the status of the watch on it */
+    self._watches = {};
+    self._lastError = null;
+    /** @type {Object[]} Status servers serving the shards, see close */
+    self._statusServers = [];
+
+    self._paths = options.paths || [];
+    self._rootRead = false;
+
+    self.__defineGetter__('shards', function shards() {
+        return (Object.keys(self._shards));
+    });
+
+    process.nextTick(function init() {
+        self._init();
+    });
+}
+util.inherits(ManateeMultiShard, EventEmitter);
+
+/**
+ * Returns the Manatee client for the named shard, or null.
+ */
+ManateeMultiShard.prototype.getClient = function getClient(shard) {
+    return (this._shards[shard] || null);
+};
+
+/**
+ * Returns the topology of the named shard, or null if it isn't watched.
+ */
+ManateeMultiShard.prototype.getTopology = function getTopology(shard) {
+    var client = this._shards[shard];
+    return (client ? client.topology : null);
+};
+
+/**
+ * Returns the metrics of the shared session and of the watch on the root.  Each
+ * shard's own metrics are available from its client.
+ */
+ManateeMultiShard.prototype.getMetrics = function getMetrics() {
+    return (this._metrics.snapshot());
+};
+
+/**
+ * Serves the status of each shard over HTTP, at /shards/:name, as shards come
+ * and go.  Options are as for Manatee#startStatusServer, except for name.
+ */
+ManateeMultiShard.prototype.startStatusServer = function startStatusServer(
+    options, cb) {
+    var self = this;
+    assert.object(options, 'options');
+    assert.ok(!self._closed, 'client is closed');
+
+    var entry = statusServer(self._log, options, cb);
+    function onAdded(shard) {
+        entry.server.addShard(shard, self._shards[shard]);
+    }
+    function onRemoved(shard) {
+        entry.server.removeShard(shard);
+    }
+    Object.keys(self._shards).forEach(onAdded);
+    self.on('shardAdded', onAdded);
+    self.on('shardRemoved', onRemoved);
+    entry.unregister = function () {
+        self.removeListener('shardAdded', onAdded);
+        self.removeListener('shardRemoved', onRemoved);
+        Object.keys(self._shards).forEach(onRemoved);
+    };
+    self._statusServers.push(entry);
+    return (entry.server);
+};
+
+/**
+ * Stops watching every shard and closes the zookeeper session.
+ *
+ * @param {function} [cb] Called once every shard's client has shut down.
+ */
+ManateeMultiShard.prototype.close = function close(cb) {
+    var self = this;
+    assert.optionalFunc(cb, 'cb');
+
+    if (cb) {
+        self._closeCbs.push(cb);
+    }
+    if (self._closed) {
+        if (self._shutDown) {
+            process.nextTick(self._finishClose.bind(self));
+        }
+        return;
+    }
+    self._closed = true;
+
+    Object.keys(self._backoffs).forEach(function (p) {
+        resetBackoffs(self._backoffs[p]);
+    });
+    self._backoffs = {};
+    var clients = Object.keys(self._shards).map(function (shard) {
+        return (self._shards[shard]);
+    });
+    vasync.forEachParallel({
+        'inputs': clients,
+        'func': function (client, subcb) {
+            client.close(subcb);
         }
-        zk.exists(path, dataWatchFired, function (err, stat) {
-            //We might have missed a watch while we were processing "other
-            // things" Just fetch the data.  We'll only register a watch when
-            // the watch fires.
-            if (stat && currStat && currStat.version !== stat.version) {
-                getData(false);
-            }
+    }, function () {
+        closeStatusServers(self._statusServers, function () {
+            self._shutDown = true;
+            self._finishClose();
         });
-    }
-    getData(true);
+        self._statusServers = [];
+    });
+    self._session.close();
+    self.emit('close');
 };
 
 /**
- * Election nodes are postfixed with -123456. so sort by the number after -,
- * and you'll have:
- * [primary, sync, async, ..., asyncn]
- *
- * @param {string[]} children The array of Postgres peers.
- * @return {string[]} The array of transformed PG URLs. e.g.
- * [tcp://postgres@10.0.0.0:5432]
+ * #@+
+ * @private
+ * @memberOf ManateeMultiShard
  */
-Manatee.prototype._childrenToUrls = function childrenToUrls(children) {
-    function compare(a, b) {
-        var seqA = parseInt(a.substring(a.lastIndexOf('-') + 1), 10);
-        var seqB = parseInt(b.substring(b.lastIndexOf('-') + 1), 10);
 
-        return (seqA - seqB);
+ManateeMultiShard.prototype._watchNode = Manatee.prototype._watchNode;
+ManateeMultiShard.prototype._finishClose = Manatee.prototype._finishClose;
+ManateeMultiShard.prototype._emitError = Manatee.prototype._emitError;
+
+ManateeMultiShard.prototype._init = function _init() {
+    var self = this;
+    var log = self._log;
+
+    if (self._closed) {
+        return;
     }
 
-    /**
-     * transform an zk election node name into a postgres url.
-     * @param {string} zkNode The zknode, e.g.
-     * 10.77.77.9:pgPort:backupPort:hbPort-0000000057, however previous
-     * versions of manatee will only have 10.77.77.9-0000000057, so we have to
-     * be able to disambiguate between the 2.
-     *
-     * @return {string} The transformed PG URL, e.g.
-     * tcp://postgres@10.0.0.0:5432
-     */
-    function transformPgUrl(zkNode) {
-        var encodedString = zkNode.split('-')[0];
-        var data = encodedString.split(':');
-        /*
-         * if we're using the legacy format, there will not be ':', and as such
-         * the split will return an array of length 1
-         */
-        if (data.length === 1) {
-            return 'tcp://' + data[0];
-        } else {
-            return 'tcp://' + data[0] + ':' + data[1];
+    self._paths.forEach(function (p) {
+        self._addShard(p);
+    });
+    if (!self._root) {
+        self._checkReady();
+    }
+
+    self._session.on('error', function (err) {
+        log.error(err, 'zk: giving up on the session');
+        self.emit('error', err);
+    });
+
+    self._session.on('disconnected', function onDisconnected() {
+        self._metrics.increment('zk_disconnects');
+    });
+    self._session.on('expired', function onExpired() {
+        self._metrics.increment('zk_expirations');
+    });
+
+    var watching = null;
+    self._session.on('connected', function onConnected(zk) {
+        self._metrics.increment('zk_connects');
+        if (!self._root || watching === zk) {
+            return;
+        }
+        watching = zk;
+        log.debug({root: self._root}, 'zk: watching shards');
+        self._watchNode(zk, self._root, self._handleShards.bind(self),
+            function (err, res) {
+                self._handleShards(res);
+            });
+    });
+
+    self._session.connect();
+};
+
+ManateeMultiShard.prototype._handleShards = function handleShards(res) {
+    var self = this;
+    var root = self._root;
+    var children = (res && res.children) ? res.children : [];
+
+    var current = {};
+    children.forEach(function (c) {
+        current[c] = true;
+        if (!self._shards[c]) {
+            self._addShard(root === '/' ? '/' + c : root + '/' + c);
+        }
+    });
+    Object.keys(self._shards).forEach(function (shard) {
+        if (!current[shard]) {
+            self._removeShard(shard);
         }
+    });
+
+    self._rootRead = true;
+    self._checkReady();
+};
+
+ManateeMultiShard.prototype._addShard = function addShard(path) {
+    var self = this;
+    var shard = path.substring(path.lastIndexOf('/') + 1);
+
+    if (self._closed || self._shards[shard]) {
+        return;
     }
 
-    var urls = (children || []).sort(compare).map(function (val) {
-        return transformPgUrl(val);
+    self._log.debug({shard: shard, path: path}, 'adding shard');
+    var client = new Manatee({
+        log: self._log,
+        path: path,
+        retry: self._retry,
+        electionUrls: self._electionUrls,
+        mode: self._mode,
+        settleMs: self._settleMs,
+        settleMaxMs: self._settleMaxMs,
+        _zkSession: self._session
+    });
+    self._shards[shard] = client;
+
+    //The client emits its initial topology right after ready, so the shard
+    // only counts as ready once that has been passed on.
+    client.on('ready', function () {
+        process.nextTick(function () {
+            self._readyShards[shard] = true;
+            self._checkReady();
+        });
+    });
+    ['topology', 'peers', 'clusterState', 'topologyPending', 'sourceChanged',
+        'divergence', 'degraded', 'recovered'].forEach(function (evt) {
+        client.on(evt, function (arg) {
+            self.emit(evt, shard, arg);
+        });
+    });
+    client.on('error', function (err) {
+        self._log.warn({err: err, shard: shard}, 'shard emitted error');
+        self.emit('error', err);
     });
 
-    return urls;
+    self.emit('shardAdded', shard);
+};
+
+ManateeMultiShard.prototype._removeShard = function removeShard(shard) {
+    var self = this;
+    var client = self._shards[shard];
+
+    self._log.debug({shard: shard}, 'removing shard');
+    delete self._shards[shard];
+    delete self._readyShards[shard];
+    client.close();
+    self.emit('shardRemoved', shard);
 };
 
 /**
- * Cluster state looks like this:
- *
- * {
- *   ...
- *   "primary": {
- *     "pgUrl": "tcp://postgres@10.77.77.52:5432/postgres",
- *     ...
- *   },
- *   "sync": <same as primary>,
- *   "async": [ <same as primary>, ... ]
- *   ...
- * }
+ * The client is ready once the shards have been listed (if watching a root) and
+ * all of the shards found at that point are ready.
  */
-Manatee.prototype._clusterStateToUrls = function clusterStateToUrls(cs) {
-    var urls = [];
-    if (cs.primary) {
-        urls.push(cs.primary.pgUrl);
+ManateeMultiShard.prototype._checkReady = function checkReady() {
+    var self = this;
+
+    if (self._inited || self._closed || (self._root && !self._rootRead)) {
+        return;
     }
-    if (cs.sync) {
-        urls.push(cs.sync.pgUrl);
+    var ready = Object.keys(self._shards).every(function (shard) {
+        return (self._readyShards[shard]);
+    });
+    if (!ready) {
+        return;
     }
-    if (cs.async) {
-        cs.async.forEach(function (a) {
-            urls.push(a.pgUrl);
+
+    self._inited = true;
+    self.emit('ready');
+};
+
+
+/**
+ * Lists the shards registered under a zookeeper root, with a summary of each.
+ *
+ * @param {object} zkCfg ZK client options, as for the Manatee client.
+ * @param {number} [zkCfg.connectTimeout] How long to wait to connect to
+ * zookeeper before failing, in milliseconds.  Defaults to 10 seconds.
+ * @param {string} root ZK path under which every child is a shard, for
+ * example: /manatee
+ * @param {function} cb Called with an error, or an array of shard summaries
+ * sorted by name, e.g.
+ * [{
+ *   name: '1.moray.coal.joyent.us',
+ *   path: '/manatee/1.moray.coal.joyent.us',
+ *   hasState: true,
+ *   generation: 3,
+ *   electionNodes: 3,
+ *   primary: 'tcp://postgres@10.77.77.52:5432/postgres'
+ * }]
+ * The primary comes from the cluster state if there is one, otherwise from the
+ * election, and is null if neither has a primary.
+ */
+function listShards(zkCfg, root, cb) {
+    assert.object(zkCfg, 'zkCfg');
+    assert.string(zkCfg.connStr, 'zkCfg.connStr');
+    assert.optionalNumber(zkCfg.connectTimeout, 'zkCfg.connectTimeout');
+    assert.string(root, 'root');
+    assert.func(cb, 'cb');
+
+    cb = once(cb);
+    var zk = createZkClient(zkCfg);
+
+    function done(err, shards) {
+        clearTimeout(timer);
+        zk.removeAllListeners();
+        zk.on('error', function () {});
+        zk.close();
+        return (cb(err, shards));
+    }
+
+    var timer = setTimeout(function () {
+        done(new verror.VError({
+            name: 'ZkConnectTimeoutError'
+        }, 'timed out connecting to zookeeper at %s', zkCfg.connStr));
+    }, zkCfg.connectTimeout || 10000);
+
+    function summarize(name, subcb) {
+        var path = root === '/' ? '/' + name : root + '/' + name;
+        var shard = {
+            name: name,
+            path: path,
+            hasState: false,
+            generation: null,
+            electionNodes: 0,
+            primary: null
+        };
+        var children = [];
+
+        vasync.pipeline({
+            'funcs': [
+                function readState(_, pcb) {
+                    zk.getData(path + '/state', function (err, data) {
+                        if (err && err.name === 'NO_NODE') {
+                            return (pcb());
+                        } else if (err) {
+                            return (pcb(err));
+                        }
+                        shard.hasState = true;
+                        try {
+                            var cs = JSON.parse(data.toString('utf8'));
+                            shard.generation = cs.generation !== undefined ?
+                                cs.generation : null;
+                            shard.primary = cs.primary ?
+                                cs.primary.pgUrl : null;
+                        } catch (e) {
+                            return (pcb(new verror.VError(e,
+                                'error JSON parsing cluster state at %s',
+                                path + '/state')));
+                        }
+                        return (pcb());
+                    });
+                },
+                function readElection(_, pcb) {
+                    zk.getChildren(path + '/election', function (err, c) {
+                        if (err && err.name === 'NO_NODE') {
+                            return (pcb());
+                        } else if (err) {
+                            return (pcb(err));
+                        }
+                        children = c;
+                        shard.electionNodes = c.length;
+                        return (pcb());
+                    });
+                }
+            ]
+        }, function (err) {
+            if (err) {
+                return (subcb(err));
+            }
+            if (!shard.hasState && children.length > 0) {
+                shard.primary = electionPeers(children, false)[0].pgUrl;
+            }
+            return (subcb(null, shard));
         });
     }
-    return (urls);
-};
 
+    zk.once('connected', function () {
+        zk.getChildren(root, function (err, names) {
+            if (err) {
+                return (done(new verror.VError(err,
+                    'error listing shards under %s', root)));
+            }
+            vasync.forEachParallel({
+                'inputs': names,
+                'func': summarize
+            }, function (err2, res) {
+                if (err2) {
+                    return (done(err2));
+                }
+                return (done(null, res.successes.sort(function (a, b) {
+                    return (a.name < b.name ? -1 : 1);
+                })));
+            });
+        });
+    });
 
-/*
+    zk.on('error', function (err) {
+        done(new verror.VError(err, 'zookeeper error'));
+    });
+
+    zk.on('authenticationFailed', function () {
+        done(zkAuthError('authenticationFailed', zkCfg));
+    });
+
+    zk.connect();
+}
+
+/**
+ * Tracks the primary of a shard, as a cueball resolver.
+ *
+ * @constructor
+ * @augments FSM
  *
+ * @param {object} options Options, as for the Manatee client, plus:
+ * @param {Bunyan} options.log Bunyan logger.
+ * @param {function} [options.resolve] Resolves a hostname to an IP address,
+ * for peers that register a hostname rather than an IP in their pgUrl.  Called
+ * as resolve(hostname, cb(err, address)).  Defaults to dns.lookup.
+ * @param {number} [options.resolveTtl] How often to resolve the hostname again,
+ * in milliseconds, or 0 to only resolve it when the primary changes.  Defaults
+ * to 60 seconds.
+ *
+ * After the Manatee client fails, the resolver starts again with a new client,
+ * backing off following options.retry.  If it fails options.retry.maxAttempts
+ * times in a row without getting back to running, it emits a
+ * RetriesExhaustedError and stops.
  */
 function ManateePrimaryResolver(options) {
     assert.object(options, 'options');
     assert.object(options.log, 'options.log');
+    assert.optionalFunc(options.resolve, 'options.resolve');
+    assert.optionalNumber(options.resolveTtl, 'options.resolveTtl');
 
-    this.mpr_opts = options;
+    /*
+     * The clients share the resolver's metrics, so that they carry on when
+     * the resolver starts again with a new client.
+     */
+    this.mpr_metrics = new mod_metrics.Metrics();
+    this.mpr_opts = {};
+    Object.keys(options).forEach(function (k) {
+        this.mpr_opts[k] = options[k];
+    }, this);
+    this.mpr_opts._metrics = this.mpr_metrics;
     this.mpr_manatee = null;
     this.mpr_previous = null;
     this.mpr_primary = null;
     this.mpr_lastError = null;
+    this.mpr_resolve = options.resolve || mod_dns.lookup;
+    this.mpr_resolveTtl = options.resolveTtl !== undefined ?
+        options.resolveTtl : 60000;
+    this.mpr_retry = retryPolicy(options.retry);
+    this.mpr_backoff = createBackoff(this.mpr_retry);
     this.mpr_log = options.log.child({
         component: 'ManateePrimaryResolver'
     });
+    /** @type {string} Name the status is served under by default */
+    this.mpr_statusName = 'primary-' + shardName(options.path);
+
+    var self = this;
+    this.mpr_metrics.gauge('resolver_state', function () {
+        return (self.getState());
+    });
+    this.mpr_metrics.gauge('resolver_backends', function () {
+        return (self.count());
+    });
 
     mod_mooremachine.FSM.call(this, 'stopped');
 }
@@ -606,11 +3255,60 @@ ManateePrimaryResolver.prototype.state_starting = function (S) {
         self.mpr_lastError = err;
         S.gotoState('failed');
     });
+
+    S.on(this, 'stopAsserted', function () {
+        S.gotoState('stopping');
+    });
 };
 
 ManateePrimaryResolver.prototype.state_running = function (S) {
     var self = this;
 
+    this.mpr_backoff.reset();
+    /* The hostname and port of the primary currently being resolved. */
+    var resolving = null;
+
+    function resolvePrimary(target) {
+        resolving = target;
+
+        self.mpr_resolve(target.hostname, S.callback(function (err, address) {
+            if (resolving !== target) {
+                /* The primary has changed since. */
+                return;
+            }
+            if (!err && !mod_net.isIP(address)) {
+                err = new Error('resolved to an invalid address: ' + address);
+            }
+            if (err) {
+                self.mpr_lastError = new verror.VError({
+                    name: 'PrimaryResolveError',
+                    cause: err,
+                    info: {
+                        hostname: target.hostname
+                    }
+                }, 'failed to resolve primary %s', target.hostname);
+                self.mpr_log.warn(self.mpr_lastError,
+                    'failed to resolve manatee primary');
+                /*
+                 * If the primary has moved to a host we can't resolve, the old
+                 * primary is no good any more.  If we just couldn't refresh
+                 * the address, keep using the one we have.
+                 */
+                if (self.mpr_primary !== null &&
+                    self.mpr_primary.hostname !== target.hostname) {
+                    self.clearPrimary();
+                }
+            } else {
+                self.diffPrimaryAndEmit({
+                    name: 'primary',
+                    address: address,
+                    port: target.port,
+                    hostname: target.hostname
+                });
+            }
+        }));
+    }
+
     S.on(self.mpr_manatee, 'topology', function (urls) {
         self.mpr_log.trace({
             urls: urls
@@ -623,18 +3321,54 @@ ManateePrimaryResolver.prototype.state_running = function (S) {
 
         var primary = mod_url.parse(urls[0]);
 
-        assert.strictEqual(primary.protocol, 'tcp:');
-        assert.ok(
-            mod_net.isIPv4(primary.hostname) ||
-            mod_net.isIPv6(primary.hostname));
+        if (primary.protocol !== 'tcp:' || !primary.hostname) {
+            self.mpr_lastError = new verror.VError({
+                name: 'PrimaryUrlError',
+                info: {
+                    url: urls[0]
+                }
+            }, 'unsupported primary url: %s', urls[0]);
+            self.mpr_log.warn(self.mpr_lastError, 'ignoring manatee primary');
+            return;
+        }
+
+        var target = {
+            hostname: primary.hostname,
+            port: primary.port ? parseInt(primary.port, 10) : 5432
+        };
+
+        if (mod_net.isIP(target.hostname)) {
+            resolving = null;
+            self.diffPrimaryAndEmit({
+                name: 'primary',
+                address: target.hostname,
+                port: target.port
+            });
+            return;
+        }
 
-        self.diffPrimaryAndEmit({
-            name: 'primary',
-            address: primary.hostname,
-            port: parseInt(primary.port, 10)
-        });
+        if (resolving !== null &&
+            resolving.hostname === target.hostname &&
+            resolving.port === target.port) {
+            /* Already resolving it, and re-resolving on the TTL. */
+            return;
+        }
+        resolvePrimary(target);
     });
 
+    /*
+     * Resolve the primary's hostname again every TTL, if it has one.  This is
+     * one timer for as long as the resolver is running, rather than one per
+     * resolution, since the state only lets go of its timers when it exits.
+     */
+    if (self.mpr_resolveTtl > 0) {
+        S.interval(self.mpr_resolveTtl, function () {
+            if (resolving !== null) {
+                resolvePrimary(resolving);
+            }
+        });
+    }
+
     S.on(self.mpr_manatee, 'error', function (err) {
         self.mpr_log.warn(err, 'manatee client emitted error');
         self.mpr_lastError = err;
@@ -647,25 +3381,51 @@ ManateePrimaryResolver.prototype.state_running = function (S) {
 };
 
 ManateePrimaryResolver.prototype.state_stopping = function (S) {
-    S.on(this.mpr_manatee, 'close', function () {
-        S.gotoState('stopped');
-    });
-
-    this.mpr_manatee.close();
+    var manatee = this.mpr_manatee;
     this.mpr_manatee = null;
+
+    /* Only stopped once the client has completely shut down. */
+    manatee.close(S.callback(function () {
+        S.gotoState('stopped');
+    }));
 };
 
 ManateePrimaryResolver.prototype.state_failed = function (S) {
+    var self = this;
+
+    this.mpr_metrics.increment('resolver_failures');
     this.mpr_previous = this.mpr_primary;
     this.mpr_primary = null;
 
-    S.timeout(1000, function () {
+    /*
+     * The client may have given up, so start again with a new one.  It has
+     * already emitted ready, so it couldn't be reused anyway.
+     */
+    if (this.mpr_manatee !== null) {
+        this.mpr_manatee.close();
+        this.mpr_manatee = null;
+    }
+
+    S.on(this.mpr_backoff, 'ready', function () {
         S.gotoState('starting');
     });
 
+    S.on(this.mpr_backoff, 'fail', function () {
+        var err = retriesExhaustedError('start', self.mpr_retry);
+        self.mpr_log.error(err, 'giving up on the manatee client');
+        self.mpr_lastError = err;
+        S.gotoState('stopped');
+        self.emit('error', err);
+    });
+
     S.on(this, 'stopAsserted', function () {
+        self.mpr_backoff.reset();
         S.gotoState('stopped');
     });
+
+    S.immediate(function () {
+        self.mpr_backoff.backoff();
+    });
 };
 
 ManateePrimaryResolver.prototype.start = function () {
@@ -673,8 +3433,11 @@ ManateePrimaryResolver.prototype.start = function () {
     this.emit('startAsserted');
 };
 
+/**
+ * Stops the resolver, from any state.  This is a no-op if it's already
+ * stopping or stopped.
+ */
 ManateePrimaryResolver.prototype.stop = function () {
-    assert.ok(this.isInState('running') || this.isInState('failed'));
     this.emit('stopAsserted');
 };
 
@@ -686,6 +3449,45 @@ ManateePrimaryResolver.prototype.getLastError = function () {
     return (this.mpr_lastError);
 };
 
+/**
+ * Returns the metrics of the resolver and of its Manatee clients, as for
+ * Manatee#getMetrics.
+ */
+ManateePrimaryResolver.prototype.getMetrics = function () {
+    return (this.mpr_metrics.snapshot());
+};
+
+/**
+ * Returns the state of the resolver, its backends, the last error, the
+ * metrics, and the status of its current Manatee client (see
+ * Manatee#getStatus), or null if it has none.
+ */
+ManateePrimaryResolver.prototype.getStatus = function () {
+    return ({
+        name: this.mpr_statusName,
+        state: this.getState(),
+        backends: this.list(),
+        lastError: mod_status.errorStatus(this.mpr_lastError),
+        metrics: this.getMetrics(),
+        client: this.mpr_manatee ? this.mpr_manatee.getStatus() : null
+    });
+};
+
+/**
+ * Serves the status of the resolver over HTTP, at /resolvers/:name.  Options
+ * are as for Manatee#startStatusServer; the name defaults to primary-<shard>
+ * for a primary resolver and replicas-<shard> for a replica resolver.  The
+ * server keeps running across stop and start, so close it when done.
+ */
+ManateePrimaryResolver.prototype.startStatusServer = function (options, cb) {
+    assert.object(options, 'options');
+    assert.optionalString(options.name, 'options.name');
+
+    var entry = statusServer(this.mpr_log, options, cb);
+    entry.server.addResolver(options.name || this.mpr_statusName, this);
+    return (entry.server);
+};
+
 ManateePrimaryResolver.prototype.list = function () {
     var backends = {};
     if (this.mpr_primary !== null) {
@@ -694,6 +3496,28 @@ ManateePrimaryResolver.prototype.list = function () {
     return backends;
 };
 
+/**
+ * Drops the current primary, if any, e.g. when the new primary can't be
+ * resolved.
+ */
+ManateePrimaryResolver.prototype.clearPrimary = function () {
+    var op = this.mpr_primary;
+
+    if (op === null) {
+        return;
+    }
+
+    this.mpr_previous = op;
+    this.mpr_primary = null;
+
+    this.mpr_log.info({
+        oldPrimary: op
+    }, 'Manatee primary has been removed');
+
+    this.mpr_metrics.increment('resolver_removed');
+    this.emit('removed', op.key);
+};
+
 ManateePrimaryResolver.prototype.diffPrimaryAndEmit = function (np) {
     var op = this.mpr_primary;
 
@@ -714,9 +3538,143 @@ ManateePrimaryResolver.prototype.diffPrimaryAndEmit = function (np) {
         newPrimary: this.mpr_primary
     }, 'Manatee primary has changed');
 
+    this.mpr_metrics.increment('resolver_added');
     this.emit('added', np.key, np);
 
     if (op !== null) {
+        this.mpr_metrics.increment('resolver_removed');
         this.emit('removed', op.key);
     }
 };
+
+
+/**
+ * Tracks the standbys of a shard, as a cueball resolver.  Each sync and/or
+ * async peer is a backend, named for its role, which keeps the same key for as
+ * long as the peer keeps that role.
+ *
+ * @constructor
+ * @augments ManateePrimaryResolver
+ *
+ * @param {object} options Options, as for the Manatee client, plus:
+ * @param {Bunyan} options.log Bunyan logger.
+ * @param {string[]} [options.roles] Which standbys to track: 'sync', 'async'
+ * or both, which is the default.
+ */
+function ManateeReplicaResolver(options) {
+    assert.object(options, 'options');
+    if (options.roles !== undefined) {
+        assert.arrayOfString(options.roles, 'options.roles');
+        options.roles.forEach(function (r) {
+            assert.ok(r === 'sync' || r === 'async',
+                'options.roles must only contain "sync" or "async"');
+        });
+    }
+
+    /** @type {string[]} The roles of the peers to track */
+    this.mrr_roles = options.roles || [ 'sync', 'async' ];
+    /** @type {Object} Role, address and port of a peer to its backend */
+    this.mrr_backends = {};
+
+    ManateePrimaryResolver.call(this, options);
+
+    this.mpr_log = options.log.child({
+        component: 'ManateeReplicaResolver'
+    });
+    this.mpr_statusName = 'replicas-' + shardName(options.path);
+}
+util.inherits(ManateeReplicaResolver, ManateePrimaryResolver);
+
+ManateeReplicaResolver.prototype.state_running = function (S) {
+    var self = this;
+
+    this.mpr_backoff.reset();
+
+    S.on(self.mpr_manatee, 'peers', function (peers) {
+        self.mpr_log.trace({
+            peers: peers
+        }, 'manatee peers changed');
+
+        self.diffReplicasAndEmit(peers);
+    });
+
+    S.on(self.mpr_manatee, 'error', function (err) {
+        self.mpr_log.warn(err, 'manatee client emitted error');
+        self.mpr_lastError = err;
+        S.gotoState('failed');
+    });
+
+    S.on(self, 'stopAsserted', function () {
+        S.gotoState('stopping');
+    });
+};
+
+ManateeReplicaResolver.prototype.count = function () {
+    return (Object.keys(this.mrr_backends).length);
+};
+
+ManateeReplicaResolver.prototype.list = function () {
+    var self = this;
+    var backends = {};
+    Object.keys(self.mrr_backends).forEach(function (id) {
+        var b = self.mrr_backends[id];
+        backends[b.key] = b;
+    });
+    return (backends);
+};
+
+ManateeReplicaResolver.prototype.diffReplicasAndEmit = function (peers) {
+    var self = this;
+    var old = self.mrr_backends;
+    var current = {};
+    var added = [];
+
+    peers.forEach(function (peer) {
+        if (self.mrr_roles.indexOf(peer.role) === -1) {
+            return;
+        }
+        var u = mod_url.parse(peer.pgUrl);
+        if (!u.hostname) {
+            self.mpr_log.warn({peer: peer}, 'ignoring peer without host');
+            return;
+        }
+        var port = u.port ? parseInt(u.port, 10) : 5432;
+        var id = peer.role + '/' + u.hostname + ':' + port;
+        if (old[id]) {
+            current[id] = old[id];
+            return;
+        }
+        current[id] = {
+            name: peer.role,
+            address: u.hostname,
+            port: port,
+            key: mod_crypto.randomBytes(9).toString('base64')
+        };
+        added.push(current[id]);
+    });
+
+    var removed = Object.keys(old).filter(function (id) {
+        return (!current[id]);
+    }).map(function (id) {
+        return (old[id]);
+    });
+
+    if (added.length === 0 && removed.length === 0) {
+        return;
+    }
+
+    self.mrr_backends = current;
+    self.mpr_log.info({
+        added: added,
+        removed: removed
+    }, 'Manatee replicas have changed');
+
+    added.forEach(function (b) {
+        self.mpr_metrics.increment('resolver_added');
+        self.emit('added', b.key, b);
+    });
+    removed.forEach(function (b) {
+        self.mpr_metrics.increment('resolver_removed');
+        self.emit('removed', b.key);
+    });
+};
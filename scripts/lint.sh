@@ -18,6 +18,7 @@ make install
 cd ../..
 
 ./deps/javascriptlint/build/install/jsl --conf ./tools/jsl.node.conf \
-    ./*.js ./test/*.js ./bin/*.js
+    ./*.js ./lib/*.js ./test/*.js ./bin/*.js
 
-./deps/jsstyle/jsstyle -f ./tools/jsstyle.conf ./*.js ./test/*.js ./bin/*.js
+./deps/jsstyle/jsstyle -f ./tools/jsstyle.conf \
+    ./*.js ./lib/*.js ./test/*.js ./bin/*.js
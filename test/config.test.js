@@ -0,0 +1,222 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Tests finding the client config in a service's config file, and the
+ * manatee-topology command that uses it.  The command is run with a static
+ * topology source, so these don't need a running zookeeper.
+ */
+
+var mod_child = require('child_process');
+var mod_config = require('../lib/config');
+var mod_fs = require('fs');
+var mod_os = require('os');
+var mod_path = require('path');
+var vasync = require('vasync');
+var test = require('tape').test;
+
+var TOPOLOGY_CMD = mod_path.join(__dirname, '..', 'bin', 'manatee-topology');
+
+/*
+ * Helpers
+ */
+
+function pgUrl(ip) {
+    return ('tcp://postgres@' + ip + ':5432/postgres');
+}
+
+/**
+ * Writes a config file to a temporary path, and returns the path.
+ */
+function writeConfig(name, contents) {
+    var file = mod_path.join(mod_os.tmpdir(),
+        'manatee-config-' + process.pid + '-' + name + '.json');
+    mod_fs.writeFileSync(file, typeof (contents) === 'string' ? contents :
+        JSON.stringify(contents));
+    return (file);
+}
+
+/**
+ * Runs manatee-topology with the given arguments, and calls back with its exit
+ * code and output.
+ */
+function runTopology(args, cb) {
+    mod_child.execFile(process.execPath, [ TOPOLOGY_CMD ].concat(args), {
+        timeout: 30000
+    }, function (err, stdout, stderr) {
+        return (cb(err ? err.code : 0, stdout, stderr));
+    });
+}
+
+/*
+ * Tests
+ */
+
+test('findConfig', function (t) {
+    t.equal(mod_config.findConfig({ moray: { port: 2020 } }), null);
+    t.equal(mod_config.findConfig(null), null);
+    var found = mod_config.findConfig({
+        a: { path: '/manatee/1', zk: { connStr: 'a' } },
+        b: { c: { path: '/manatee/2', zk: { connStr: 'b' } } }
+    });
+    t.equal(found.path, '/manatee/2', 'the last one found wins');
+    t.end();
+});
+
+test('readConfig', function (t) {
+    var files = [];
+    function check(name, contents, cb) {
+        var file = contents === null ?
+            mod_path.join(mod_os.tmpdir(), 'manatee-config-missing.json') :
+            writeConfig(name, contents);
+        if (contents !== null) {
+            files.push(file);
+        }
+        mod_config.readConfig(file, function (err, cfg) {
+            return (cb(err, cfg, file));
+        });
+    }
+
+    vasync.pipeline({
+        'funcs': [
+            function missing(_, cb) {
+                check('missing', null, function (err, cfg, file) {
+                    t.equal(err.name, 'ConfigError');
+                    t.equal(err.message, file + ' does not exist');
+                    return (cb());
+                });
+            },
+            function badJson(_, cb) {
+                check('bad', '{ "manatee": ', function (err, cfg, file) {
+                    t.equal(err.name, 'ConfigError');
+                    t.ok(err.message.indexOf('error parsing ' + file) === 0);
+                    t.equal(err.cause().name, 'SyntaxError');
+                    return (cb());
+                });
+            },
+            function noManatee(_, cb) {
+                check('none', { moray: { port: 2020 } },
+                    function (err, cfg, file) {
+                    t.equal(err.name, 'ConfigError');
+                    t.equal(err.message,
+                        file + ' did not have manatee config');
+                    return (cb());
+                });
+            },
+            function nested(_, cb) {
+                check('nested', {
+                    moray: {
+                        manatee: {
+                            path: '/manatee/1',
+                            zk: { connStr: '10.0.0.1:2181' }
+                        }
+                    },
+                    other: {
+                        manatee: {
+                            path: '/manatee/2',
+                            zk: { connStr: '10.0.0.2:2181' }
+                        }
+                    }
+                }, function (err, cfg) {
+                    t.ifError(err);
+                    t.equal(cfg.path, '/manatee/2', 'the last one found wins');
+                    t.equal(cfg.zk.connStr, '10.0.0.2:2181');
+                    return (cb());
+                });
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        files.forEach(function (f) {
+            mod_fs.unlinkSync(f);
+        });
+        t.end();
+    });
+});
+
+test('manatee-topology', function (t) {
+    var urls = [ pgUrl('10.0.0.1'), pgUrl('10.0.0.2') ];
+    var file = writeConfig('topology', {
+        manatee: {
+            path: '/manatee/1',
+            zk: { connStr: '127.0.0.1:2181' },
+            source: { type: 'static', urls: urls }
+        }
+    });
+
+    vasync.pipeline({
+        'funcs': [
+            function all(_, cb) {
+                runTopology([ file ], function (code, stdout) {
+                    t.equal(code, 0);
+                    t.equal(stdout, 'primary\t' + urls[0] + '\n' +
+                        'sync\t' + urls[1] + '\n');
+                    return (cb());
+                });
+            },
+            function role(_, cb) {
+                runTopology([ '-r', 'sync', file ], function (code, stdout) {
+                    t.equal(code, 0);
+                    t.equal(stdout, urls[1] + '\n');
+                    return (cb());
+                });
+            },
+            function json(_, cb) {
+                runTopology([ '-j', file ], function (code, stdout) {
+                    t.equal(code, 0);
+                    t.deepEqual(JSON.parse(stdout).map(function (p) {
+                        return (p.pgUrl);
+                    }), urls);
+                    return (cb());
+                });
+            },
+            function noPeers(_, cb) {
+                runTopology([ '-r', 'async', file ], function (code, stdout) {
+                    t.equal(code, 3, 'no peers in the role');
+                    t.equal(stdout, '');
+                    return (cb());
+                });
+            },
+            function badRole(_, cb) {
+                runTopology([ '-r', 'leader', file ], function (code, o, e) {
+                    t.equal(code, 2, 'bad arguments');
+                    t.ok(e.indexOf('unknown role: leader') !== -1);
+                    return (cb());
+                });
+            },
+            function noConfig(_, cb) {
+                runTopology([], function (code) {
+                    t.equal(code, 2, 'config or flags required');
+                    return (cb());
+                });
+            },
+            function clientFails(_, cb) {
+                //Nothing listens on the discard port.
+                runTopology([ '-z', '127.0.0.1:9', '-p', '/manatee/1',
+                    '-t', '100' ], function (code, o, e) {
+                    t.equal(code, 1, 'client error');
+                    t.ok(e.indexOf('manatee: client error') !== -1);
+                    return (cb());
+                });
+            },
+            function badConfig(_, cb) {
+                runTopology([ file + '.missing' ], function (code, o, e) {
+                    t.equal(code, 2, 'bad config file');
+                    t.ok(e.indexOf('does not exist') !== -1);
+                    return (cb());
+                });
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        mod_fs.unlinkSync(file);
+        t.end();
+    });
+});
@@ -0,0 +1,2098 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * Tests the client against the in-process fake zookeeper, so unlike
+ * client.test.js these don't need a running zookeeper.
+ */
+
+var bunyan = require('bunyan');
+var fakezk = require('../lib/fake_zk');
+var http = require('http');
+var manatee = require('../manatee');
+var mod_fs = require('fs');
+var mod_os = require('os');
+var mod_path = require('path');
+var vasync = require('vasync');
+var VError = require('verror').VError;
+var EventEmitter = require('events').EventEmitter;
+var test = require('tape').test;
+
+var LOG = bunyan.createLogger({
+    level: (process.env.LOG_LEVEL || (bunyan.FATAL + 1)),
+    name: 'manatee-fake-zk-tests',
+    serializers: {
+        err: bunyan.stdSerializers.err
+    },
+    src: true
+});
+
+var SHARD_PATH = '/manatee/1.moray.test';
+
+/*
+ * Helpers
+ */
+
+function u(ip) {
+    return ('tcp://' + ip + ':5432');
+}
+
+function pgUrl(ip) {
+    return ('tcp://postgres@' + ip + ':5432/postgres');
+}
+
+function stateFrom(gen, ips) {
+    var ret = {
+        'generation': gen,
+        'primary': { 'pgUrl': pgUrl(ips[0]) },
+        'sync': ips[1] ? { 'pgUrl': pgUrl(ips[1]) } : null,
+        'async': [],
+        'deposed': []
+    };
+    for (var i = 2; i < ips.length; ++i) {
+        ret.async.push({ 'pgUrl': pgUrl(ips[i]) });
+    }
+    return (ret);
+}
+
+/**
+ * Creates a client of the test shard on the fake zookeeper.  Any extraOpts are
+ * added to the client options, and extraOpts.zk to the zk options.
+ */
+function createClient(zk, extraOpts) {
+    var opts = {
+        log: LOG,
+        path: SHARD_PATH,
+        zk: {
+            connStr: 'fake',
+            module: zk
+        }
+    };
+    Object.keys(extraOpts || {}).forEach(function (key) {
+        if (key !== 'zk') {
+            opts[key] = extraOpts[key];
+            return;
+        }
+        Object.keys(extraOpts.zk).forEach(function (zkKey) {
+            opts.zk[zkKey] = extraOpts.zk[zkKey];
+        });
+    });
+    return (manatee.createClient(opts));
+}
+
+/**
+ * Calls cb once the client is ready and has emitted its initial topology.
+ */
+function whenReady(client, cb) {
+    client.once('ready', function () {
+        client.once('topology', function () {
+            return (cb());
+        });
+    });
+}
+
+/**
+ * Calls cb with the next topology the client emits, after calling func to
+ * cause it.
+ */
+function nextTopology(client, func, cb) {
+    client.once('topology', function (top) {
+        return (cb(top));
+    });
+    func();
+}
+
+/*
+ * Tests
+ */
+
+test('election topology', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.addElectionNode(SHARD_PATH, '10.0.0.1:5432:12345:12222');
+    zk.addElectionNode(SHARD_PATH, '10.0.0.2:5432:12345:12222');
+
+    var client = createClient(zk);
+    whenReady(client, function () {
+        t.deepEqual(client.topology, [ u('10.0.0.1'), u('10.0.0.2') ]);
+        t.deepEqual(client.peers.map(function (p) {
+            return (p.role);
+        }), [ 'primary', 'sync' ]);
+
+        nextTopology(client, function () {
+            zk.removeElectionNode(SHARD_PATH, '10.0.0.1:5432:12345:12222');
+        }, function (top) {
+            t.deepEqual(top, [ u('10.0.0.2') ]);
+            client.close();
+            t.end();
+        });
+    });
+});
+
+test('cluster state overrides the election', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.addElectionNode(SHARD_PATH, '10.0.0.1:5432:12345:12222');
+    zk.addElectionNode(SHARD_PATH, '10.0.0.2:5432:12345:12222');
+
+    var client = createClient(zk);
+    vasync.pipeline({
+        'funcs': [
+            function ready(_, cb) {
+                whenReady(client, cb);
+            },
+            function setState(_, cb) {
+                var states = [];
+                client.on('clusterState', function (cs) {
+                    states.push(cs);
+                });
+                nextTopology(client, function () {
+                    zk.setClusterState(SHARD_PATH,
+                        stateFrom(1, [ '10.0.0.2', '10.0.0.1' ]));
+                }, function (top) {
+                    t.deepEqual(top,
+                        [ pgUrl('10.0.0.2'), pgUrl('10.0.0.1') ]);
+                    t.equal(states.length, 1, 'clusterState emitted');
+                    t.equal(client.clusterState.generation, 1);
+                    return (cb());
+                });
+            },
+            function removeState(_, cb) {
+                nextTopology(client, function () {
+                    zk.setClusterState(SHARD_PATH, null);
+                }, function (top) {
+                    t.deepEqual(top, [ u('10.0.0.1'), u('10.0.0.2') ]);
+                    t.equal(client.clusterState, null);
+                    return (cb());
+                });
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        client.close();
+        t.end();
+    });
+});
+
+test('clusterState event and getter', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.addElectionNode(SHARD_PATH, '10.0.0.1:5432:12345:12222');
+
+    var client = createClient(zk);
+    var states = [];
+    client.on('clusterState', function (cs) {
+        states.push(cs);
+    });
+    vasync.pipeline({
+        'funcs': [
+            function ready(_, cb) {
+                whenReady(client, function () {
+                    t.equal(client.clusterState, null, 'no state yet');
+                    t.equal(states.length, 0, 'not emitted without a state');
+                    return (cb());
+                });
+            },
+            function create(_, cb) {
+                client.once('clusterState', function (cs) {
+                    t.equal(cs.generation, 1);
+                    t.deepEqual(cs, stateFrom(1, [ '10.0.0.1' ]),
+                        'the parsed document');
+                    t.deepEqual(client.clusterState, cs);
+                    return (cb());
+                });
+                zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.1' ]));
+            },
+            function unchanged(_, cb) {
+                //Writing the same document again doesn't emit.
+                zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.1' ]));
+                client.once('clusterState', function (cs) {
+                    t.equal(cs.generation, 2);
+                    t.equal(states.length, 2, 'only emitted for changes');
+                    return (cb());
+                });
+                setTimeout(function () {
+                    zk.setClusterState(SHARD_PATH,
+                        stateFrom(2, [ '10.0.0.1' ]));
+                }, 20);
+            },
+            function remove(_, cb) {
+                client.once('clusterState', function (cs) {
+                    t.equal(cs, null, 'emitted with null when removed');
+                    t.equal(client.clusterState, null);
+                    return (cb());
+                });
+                zk.setClusterState(SHARD_PATH, null);
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        client.close();
+        t.end();
+    });
+});
+
+test('peers are emitted when only the roles change', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState(SHARD_PATH,
+        stateFrom(1, [ '10.0.0.1', '10.0.0.2', '10.0.0.3' ]));
+
+    function roles(peers) {
+        return (peers.map(function (p) {
+            return (p.role);
+        }));
+    }
+
+    var client = createClient(zk);
+    client.once('ready', function () {
+        client.once('peers', function (peers) {
+            t.deepEqual(roles(peers), [ 'primary', 'sync', 'async' ]);
+            t.deepEqual(peers.map(function (p) {
+                return (p.pgUrl);
+            }), client.topology, 'in the same order as the topology');
+            t.deepEqual(client.peers, peers);
+
+            client.on('topology', function (top) {
+                t.fail('topology emitted: ' + top);
+            });
+            client.once('peers', function (peers2) {
+                t.deepEqual(roles(peers2), [ 'primary', 'async', 'async' ]);
+                t.deepEqual(roles(client.peers), roles(peers2));
+                client.close();
+                t.end();
+            });
+            //The sync drops to async, without the urls changing.
+            zk.setClusterState(SHARD_PATH, {
+                generation: 2,
+                primary: { pgUrl: pgUrl('10.0.0.1') },
+                sync: null,
+                async: [
+                    { pgUrl: pgUrl('10.0.0.2') },
+                    { pgUrl: pgUrl('10.0.0.3') }
+                ]
+            });
+        });
+    });
+});
+
+test('failover after session expiry', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.1', '10.0.0.2' ]));
+
+    var client = createClient(zk);
+    whenReady(client, function () {
+        var sessionId = client._zk.getSessionId();
+        zk.expireSession();
+        nextTopology(client, function () {
+            zk.setClusterState(SHARD_PATH,
+                stateFrom(2, [ '10.0.0.2', '10.0.0.3' ]));
+        }, function (top) {
+            t.deepEqual(top, [ pgUrl('10.0.0.2'), pgUrl('10.0.0.3') ]);
+            t.notEqual(client._zk.getSessionId(), sessionId, 'new session');
+            client.close();
+            t.end();
+        });
+    });
+});
+
+test('changes while disconnected arrive on reconnect', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.1', '10.0.0.2' ]));
+
+    var client = createClient(zk);
+    whenReady(client, function () {
+        var changed = false;
+        client.once('topology', function (top) {
+            t.ok(changed, 'topology after reconnect');
+            t.deepEqual(top, [ pgUrl('10.0.0.2') ]);
+            client.close();
+            t.end();
+        });
+        zk.disconnect();
+        zk.setClusterState(SHARD_PATH, stateFrom(2, [ '10.0.0.2' ]));
+        setTimeout(function () {
+            changed = true;
+            zk.reconnect();
+        }, 50);
+    });
+});
+
+test('multi-shard client follows the root', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState('/manatee/1.moray', stateFrom(1, [ '10.0.0.1' ]));
+    zk.addElectionNode('/manatee/2.moray', '10.0.1.1:5432:12345:12222');
+
+    var client = manatee.createMultiShardClient({
+        log: LOG,
+        root: '/manatee',
+        zk: {
+            connStr: 'fake',
+            module: zk
+        }
+    });
+    client.once('ready', function () {
+        t.deepEqual(client.shards.sort(), [ '1.moray', '2.moray' ]);
+        t.deepEqual(client.getTopology('2.moray'), [ u('10.0.1.1') ]);
+
+        client.once('topology', function (shard, top) {
+            t.equal(shard, '3.moray');
+            t.deepEqual(top, [ pgUrl('10.0.2.1') ]);
+            client.once('shardRemoved', function (removed) {
+                t.equal(removed, '3.moray');
+                client.close();
+                t.end();
+            });
+            zk.setClusterState('/manatee/3.moray', null);
+            zk._remove('/manatee/3.moray');
+        });
+        zk.setClusterState('/manatee/3.moray', stateFrom(1, [ '10.0.2.1' ]));
+    });
+});
+
+test('multi-shard client adds and removes shards', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState('/manatee/1.moray', stateFrom(1, [ '10.0.0.1' ]));
+
+    var client = manatee.createMultiShardClient({
+        log: LOG,
+        root: '/manatee',
+        zk: {
+            connStr: 'fake',
+            module: zk
+        }
+    });
+    var events = [];
+    client.on('shardAdded', function (shard) {
+        events.push('added ' + shard);
+    });
+    client.on('shardRemoved', function (shard) {
+        events.push('removed ' + shard);
+    });
+    vasync.pipeline({
+        'funcs': [
+            function ready(_, cb) {
+                client.once('ready', function () {
+                    t.deepEqual(events, [ 'added 1.moray' ]);
+                    t.deepEqual(client.shards, [ '1.moray' ]);
+                    t.ok(client.getClient('1.moray'), 'has a client');
+                    t.equal(client.getClient('2.moray'), null);
+                    t.equal(client.getTopology('2.moray'), null);
+                    return (cb());
+                });
+            },
+            function add(_, cb) {
+                client.once('clusterState', function (shard, cs) {
+                    t.equal(shard, '2.moray', 'events name the shard');
+                    t.equal(cs.generation, 1);
+                    t.deepEqual(events, [ 'added 1.moray', 'added 2.moray' ]);
+                    t.deepEqual(client.shards.sort(),
+                        [ '1.moray', '2.moray' ]);
+                    return (cb());
+                });
+                zk.setClusterState('/manatee/2.moray',
+                    stateFrom(1, [ '10.0.1.1' ]));
+            },
+            function remove(_, cb) {
+                var removed = client.getClient('1.moray');
+                client.once('shardRemoved', function (shard) {
+                    t.equal(shard, '1.moray');
+                    t.deepEqual(client.shards, [ '2.moray' ]);
+                    t.equal(client.getClient('1.moray'), null);
+                    t.ok(removed._closed, 'removed shard\'s client closed');
+                    return (cb());
+                });
+                zk.setClusterState('/manatee/1.moray', null);
+                zk._remove('/manatee/1.moray');
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        client.close();
+        t.end();
+    });
+});
+
+test('multi-shard client watches the given paths', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState('/manatee/1.moray', stateFrom(1, [ '10.0.0.1' ]));
+    zk.setClusterState('/other/2.moray', stateFrom(1, [ '10.0.1.1' ]));
+
+    function create(options) {
+        options.log = LOG;
+        options.zk = { connStr: 'fake', module: zk };
+        return (manatee.createMultiShardClient(options));
+    }
+
+    t.throws(function () {
+        create({ root: '/manatee', paths: [ '/other/2.moray' ] });
+    }, /exactly one of options.root or options.paths/);
+    t.throws(function () {
+        create({ paths: [ '/manatee/1.moray', '/other/1.moray' ] });
+    }, /more than one shard named 1.moray/);
+
+    var client = create({ paths: [ '/manatee/1.moray', '/other/2.moray' ] });
+    client.on('shardRemoved', function (shard) {
+        t.fail('removed ' + shard);
+    });
+    client.once('ready', function () {
+        t.deepEqual(client.shards.sort(), [ '1.moray', '2.moray' ]);
+        t.deepEqual(client.getTopology('2.moray'), [ pgUrl('10.0.1.1') ]);
+        client.close();
+        t.end();
+    });
+});
+
+test('static source', function (t) {
+    var urls = [ pgUrl('10.0.0.1'), pgUrl('10.0.0.2'), pgUrl('10.0.0.3') ];
+    var client = manatee.createClient({
+        log: LOG,
+        source: { type: 'static', urls: urls }
+    });
+    whenReady(client, function () {
+        t.deepEqual(client.topology, urls);
+        t.deepEqual(client.peers.map(function (p) {
+            return (p.role);
+        }), [ 'primary', 'sync', 'async' ]);
+        t.equal(client.topologySource, 'clusterState');
+        client.close();
+        t.end();
+    });
+});
+
+test('file source', function (t) {
+    var file = mod_path.join(mod_os.tmpdir(),
+        'manatee-source-' + process.pid + '.json');
+    var client = manatee.createClient({
+        log: LOG,
+        source: { type: 'file', path: file, interval: 10 }
+    });
+
+    //Changes within the same second might not change the file's mtime.
+    function write(state) {
+        mod_fs.writeFileSync(file, typeof (state) === 'string' ? state :
+            JSON.stringify(state));
+        var mtime = new Date(Date.now() + 1000 * (++writes));
+        mod_fs.utimesSync(file, mtime, mtime);
+    }
+    var writes = 0;
+
+    vasync.pipeline({
+        'funcs': [
+            function missing(_, cb) {
+                whenReady(client, function () {
+                    t.deepEqual(client.topology, [], 'no file, no peers');
+                    return (cb());
+                });
+            },
+            function create(_, cb) {
+                client.once('topology', function (urls) {
+                    t.deepEqual(urls, [ pgUrl('10.0.0.1') ], 'created');
+                    return (cb());
+                });
+                write(stateFrom(1, [ '10.0.0.1' ]));
+            },
+            function change(_, cb) {
+                client.once('topology', function (urls) {
+                    t.deepEqual(urls, [ pgUrl('10.0.0.2'), pgUrl('10.0.0.3') ],
+                        'changed');
+                    return (cb());
+                });
+                write(stateFrom(2, [ '10.0.0.2', '10.0.0.3' ]));
+            },
+            function invalid(_, cb) {
+                client.once('error', function (err) {
+                    t.equal(err.name, 'ClusterStateParseError');
+                    t.deepEqual(VError.info(err), { file: file });
+                    return (cb());
+                });
+                write('{');
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        client.close();
+        mod_fs.unlinkSync(file);
+        t.end();
+    });
+});
+
+test('source and mode options', function (t) {
+    var source = { type: 'static', urls: [ pgUrl('10.0.0.1') ] };
+    t.throws(function () {
+        manatee.createClient({ log: LOG, source: source, mode: 'election' });
+    }, /options.mode must be "state" with a source/);
+    t.throws(function () {
+        manatee.createClient({ log: LOG, path: SHARD_PATH, mode: 'both' });
+    }, /options.mode must be one of auto, state, election/);
+    t.throws(function () {
+        manatee.createClient({ log: LOG, zk: { connStr: 'fake' } });
+    }, /options.path/);
+    manatee.createClient({ log: LOG, source: source, mode: 'state' }).close();
+    t.end();
+});
+
+test('listShards', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState('/manatee/1.moray', stateFrom(3, [ '10.0.0.1' ]));
+    zk.addElectionNode('/manatee/1.moray', '10.0.0.1:5432:12345:12222');
+    zk.addElectionNode('/manatee/2.moray', '10.0.1.1:5432:12345:12222');
+    zk.addElectionNode('/manatee/2.moray', '10.0.1.2:5432:12345:12222');
+    var zkCfg = { connStr: 'fake', module: zk, connectTimeout: 50 };
+
+    vasync.pipeline({
+        'funcs': [
+            function list(_, cb) {
+                manatee.listShards(zkCfg, '/manatee', function (err, shards) {
+                    t.ifError(err);
+                    t.deepEqual(shards, [ {
+                        name: '1.moray',
+                        path: '/manatee/1.moray',
+                        hasState: true,
+                        generation: 3,
+                        electionNodes: 1,
+                        primary: pgUrl('10.0.0.1')
+                    }, {
+                        name: '2.moray',
+                        path: '/manatee/2.moray',
+                        hasState: false,
+                        generation: null,
+                        electionNodes: 2,
+                        primary: u('10.0.1.1')
+                    } ], 'primary from the election without a state');
+                    return (cb());
+                });
+            },
+            function missingRoot(_, cb) {
+                manatee.listShards(zkCfg, '/nothing', function (err, shards) {
+                    t.ok(err, 'error for a missing root');
+                    t.ok(/error listing shards under \/nothing/.test(
+                        err.message));
+                    t.equal(shards, undefined);
+                    return (cb());
+                });
+            },
+            function connectTimeout(_, cb) {
+                zk.disconnect();
+                manatee.listShards(zkCfg, '/manatee', function (err) {
+                    t.equal(err.name, 'ZkConnectTimeoutError');
+                    zk.reconnect();
+                    return (cb());
+                });
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+test('ready and getTopology promises', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.1' ]));
+
+    var client = createClient(zk);
+    client.getTopology().then(function (top) {
+        t.deepEqual(top, [ pgUrl('10.0.0.1') ]);
+        t.equal(client.listeners('ready').length, 0, 'no leaked listeners');
+        return (client.ready());
+    }).then(function () {
+        client.close();
+        t.end();
+    }, function (err) {
+        t.ifError(err);
+        client.close();
+        t.end();
+    });
+});
+
+test('ready times out', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.disconnect();
+
+    var client = createClient(zk);
+    client.ready({ timeout: 50 }).then(function () {
+        t.fail('client should not be ready');
+    }, function (err) {
+        t.ok(err, 'timed out');
+        t.equal(client.listeners('error').length, 0, 'no leaked listeners');
+    }).then(function () {
+        client.close();
+        t.end();
+    });
+});
+
+test('topologies iterator', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.1' ]));
+
+    var client = createClient(zk);
+    var it = client.topologies();
+    it.next().then(function (res) {
+        t.deepEqual(res.value, [ pgUrl('10.0.0.1') ]);
+        zk.setClusterState(SHARD_PATH, stateFrom(2, [ '10.0.0.2' ]));
+        return (it.next());
+    }).then(function (res) {
+        t.deepEqual(res.value, [ pgUrl('10.0.0.2') ]);
+        var last = it.next();
+        client.close();
+        return (last);
+    }).then(function (res) {
+        t.ok(res.done, 'done after close');
+        t.equal(client.listeners('topology').length, 0,
+            'no leaked listeners');
+        return (client.topologies().next());
+    }).then(function (res) {
+        t.ok(res.done, 'done when already closed');
+        t.equal(client.listeners('close').length, 0,
+            'no leaked listeners once closed');
+        t.end();
+    });
+});
+
+test('ready deadline with a source that stalls', function (t) {
+    //A source that never reports a state.
+    var source = new EventEmitter();
+    source.start = function () {};
+    source.close = function () {};
+
+    var client = manatee.createClient({
+        log: LOG,
+        source: source,
+        readyTimeout: 50
+    });
+    client.once('error', function (err) {
+        t.equal(err.name, 'SourceTimeoutError');
+        t.equal(VError.info(err).phase, 'source');
+        t.ok(/stalled reading the topology source/.test(err.message));
+        client.close();
+        t.end();
+    });
+});
+
+test('startup deadlines name the stalled step', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.disconnect();
+
+    var client = manatee.createClient({
+        log: LOG,
+        path: SHARD_PATH,
+        connectTimeout: 20,
+        readyTimeout: 40,
+        zk: {
+            connStr: 'fake',
+            module: zk
+        }
+    });
+    var names = [];
+    client.on('error', function (err) {
+        names.push(err.name);
+        if (names.length < 2) {
+            return;
+        }
+        t.deepEqual(names, [ 'ZkConnectTimeoutError',
+            'ZkConnectTimeoutError' ]);
+        zk.reconnect();
+        client.once('ready', function () {
+            client.close();
+            t.end();
+        });
+    });
+});
+
+test('cluster state parse errors are named', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.1' ]));
+
+    var client = createClient(zk);
+    whenReady(client, function () {
+        client.once('error', function (err) {
+            t.equal(err.name, 'ClusterStateParseError');
+            client.close();
+            t.end();
+        });
+        zk._setData(SHARD_PATH + '/state', new Buffer('{'));
+    });
+});
+
+test('expired sessions are replaced after backing off', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.1' ]));
+
+    var client = manatee.createClient({
+        log: LOG,
+        path: SHARD_PATH,
+        retry: { initialDelay: 200, maxDelay: 400, jitter: 0 },
+        zk: {
+            connStr: 'fake',
+            module: zk
+        }
+    });
+    whenReady(client, function () {
+        var expiredAt;
+        client.once('recovered', function () {
+            t.ok(Date.now() - expiredAt >= 200, 'waited before reconnecting');
+            t.equal(client.getMetrics().counters.zk_connects, 2);
+            client.close();
+            t.end();
+        });
+        expiredAt = Date.now();
+        zk.expireSession();
+    });
+});
+
+test('degraded and recovered', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.1' ]));
+
+    var client = createClient(zk);
+    vasync.pipeline({
+        'funcs': [
+            function ready(_, cb) {
+                whenReady(client, cb);
+            },
+            function disconnect(_, cb) {
+                t.ok(client.lastConfirmedAt, 'confirmed once ready');
+                t.notOk(client.isStale, 'not stale once ready');
+                client.once('degraded', function (info) {
+                    t.equal(info.reason, 'disconnected');
+                    t.ok(client.isStale, 'stale while disconnected');
+                    return (cb());
+                });
+                zk.disconnect();
+            },
+            function reconnect(_, cb) {
+                client.once('recovered', function (info) {
+                    t.notOk(client.isStale, 'not stale after reconnect');
+                    t.equal(info.lastConfirmedAt, client.lastConfirmedAt);
+                    return (cb());
+                });
+                zk.reconnect();
+            },
+            function expire(_, cb) {
+                client.once('degraded', function (info) {
+                    t.equal(info.reason, 'expired');
+                    client.once('recovered', function () {
+                        t.notOk(client.isStale, 'not stale after expiry');
+                        return (cb());
+                    });
+                });
+                zk.expireSession();
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        client.close();
+        t.end();
+    });
+});
+
+test('replica resolver keeps keys while peers keep their roles', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState(SHARD_PATH,
+        stateFrom(1, [ '10.0.0.1', '10.0.0.2', '10.0.0.3' ]));
+
+    var resolver = manatee.createReplicaResolver({
+        log: LOG,
+        path: SHARD_PATH,
+        zk: {
+            connStr: 'fake',
+            module: zk
+        }
+    });
+    var keys = {};
+    resolver.on('added', function (key, backend) {
+        keys[backend.name + '/' + backend.address] = key;
+        if (Object.keys(keys).length !== 2) {
+            return;
+        }
+        var asyncKey = keys['async/10.0.0.3'];
+        t.ok(keys['sync/10.0.0.2'], 'sync added');
+        t.ok(asyncKey, 'async added');
+        t.equal(resolver.count(), 2);
+
+        //The sync takes over, and the async stays put.
+        resolver.on('removed', function (k) {
+            t.equal(k, keys['sync/10.0.0.2'], 'sync removed');
+            t.equal(resolver.count(), 1);
+            t.ok(resolver.list()[asyncKey], 'async kept its key');
+            resolver.stop();
+            t.end();
+        });
+        zk.setClusterState(SHARD_PATH, {
+            generation: 2,
+            primary: { pgUrl: pgUrl('10.0.0.2') },
+            sync: null,
+            async: [ { pgUrl: pgUrl('10.0.0.3') } ]
+        });
+    });
+    resolver.start();
+});
+
+test('replica resolver keeps keys when it starts again', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState(SHARD_PATH,
+        stateFrom(1, [ '10.0.0.1', '10.0.0.2', '10.0.0.3' ]));
+
+    var resolver = manatee.createReplicaResolver({
+        log: LOG,
+        path: SHARD_PATH,
+        retry: { initialDelay: 10, maxDelay: 20 },
+        zk: {
+            connStr: 'fake',
+            module: zk
+        }
+    });
+    var keys = [];
+    resolver.on('added', function (key, backend) {
+        keys.push(key);
+        if (keys.length !== 2) {
+            return;
+        }
+        resolver.on('removed', function (k) {
+            t.fail('removed ' + k);
+        });
+        setImmediate(function () {
+            var states = [];
+            resolver.on('stateChanged', function (st) {
+                states.push(st);
+                if (st !== 'running') {
+                    return;
+                }
+                t.deepEqual(states, [ 'failed', 'starting', 'running' ]);
+                //Let the new client's peers through.
+                setTimeout(function () {
+                    t.deepEqual(Object.keys(resolver.list()).sort(),
+                        keys.sort(), 'same keys');
+                    resolver.stop();
+                    t.end();
+                }, 20);
+            });
+            resolver.mpr_manatee.emit('error', new Error('client failed'));
+        });
+    });
+    resolver.start();
+});
+
+test('primary resolver resolves hostnames', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState(SHARD_PATH, {
+        generation: 1,
+        primary: { pgUrl: 'tcp://postgres@db1.example:5432/postgres' },
+        async: []
+    });
+
+    var addresses = { 'db1.example': '10.0.0.1' };
+    var resolver = manatee.createPrimaryResolver({
+        log: LOG,
+        path: SHARD_PATH,
+        resolveTtl: 20,
+        resolve: function (hostname, cb) {
+            if (!addresses[hostname]) {
+                return (cb(new Error('ENOTFOUND')));
+            }
+            return (cb(null, addresses[hostname]));
+        },
+        zk: {
+            connStr: 'fake',
+            module: zk
+        }
+    });
+    var added = [];
+    var removed = 0;
+    resolver.on('added', function (key, backend) {
+        added.push(backend.address);
+        if (added.length === 1) {
+            t.equal(backend.address, '10.0.0.1');
+            //The name moves to a new address.
+            addresses['db1.example'] = '10.0.0.2';
+        }
+    });
+    resolver.on('removed', function () {
+        if (++removed === 1) {
+            t.deepEqual(added, [ '10.0.0.1', '10.0.0.2' ],
+                'followed the new address');
+            //The primary moves to a name that doesn't resolve.
+            zk.setClusterState(SHARD_PATH, {
+                generation: 2,
+                primary: { pgUrl: 'tcp://postgres@db2.example:5432/postgres' },
+                async: []
+            });
+            return;
+        }
+        t.equal(resolver.count(), 0, 'unresolvable primary dropped');
+        t.equal(resolver.getLastError().name, 'PrimaryResolveError');
+        t.equal(resolver.fsm_handle.fsh_timeouts.length, 0,
+            'no timers piling up in the running state');
+        resolver.stop();
+        t.end();
+    });
+    resolver.start();
+});
+
+test('primary resolver with a resolveTtl of 0', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState(SHARD_PATH, {
+        generation: 1,
+        primary: { pgUrl: 'tcp://postgres@db1.example:5432/postgres' },
+        async: []
+    });
+
+    var resolves = 0;
+    var resolver = manatee.createPrimaryResolver({
+        log: LOG,
+        path: SHARD_PATH,
+        resolveTtl: 0,
+        resolve: function (hostname, cb) {
+            resolves++;
+            return (cb(null, '10.0.0.1'));
+        },
+        zk: {
+            connStr: 'fake',
+            module: zk
+        }
+    });
+    resolver.on('added', function (key, backend) {
+        t.equal(backend.address, '10.0.0.1');
+        setTimeout(function () {
+            t.equal(resolves, 1, 'only resolved when the primary changed');
+            resolver.stop();
+            t.end();
+        }, 50);
+    });
+    resolver.start();
+});
+
+test('failed reads are retried', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.1' ]));
+    zk.failRequests(2);
+
+    var client = manatee.createClient({
+        log: LOG,
+        path: SHARD_PATH,
+        retry: { initialDelay: 10, maxDelay: 20, maxAttempts: 3 },
+        zk: {
+            connStr: 'fake',
+            module: zk
+        }
+    });
+    whenReady(client, function () {
+        t.deepEqual(client.topology, [ pgUrl('10.0.0.1') ]);
+        client.close();
+        t.end();
+    });
+});
+
+test('retry delays', function (t) {
+    function create(retry) {
+        var zk = fakezk.createFakeZk();
+        zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.1' ]));
+        zk.failRequests(2);
+        return (manatee.createClient({
+            log: LOG,
+            path: SHARD_PATH,
+            retry: retry,
+            zk: {
+                connStr: 'fake',
+                module: zk
+            }
+        }));
+    }
+
+    t.throws(function () {
+        create({ initialDelay: 20, maxDelay: 10 });
+    }, /maxDelay must be at least initialDelay/);
+    //maxDelay defaults to at least initialDelay.
+    create({ initialDelay: 60000 }).close();
+
+    vasync.forEachPipeline({
+        'inputs': [
+            { initialDelay: 0, maxDelay: 0 },
+            { initialDelay: 10, maxDelay: 10 }
+        ],
+        'func': function (retry, cb) {
+            var client = create(retry);
+            whenReady(client, function () {
+                t.deepEqual(client.topology, [ pgUrl('10.0.0.1') ],
+                    'retried with ' + JSON.stringify(retry));
+                client.close(cb);
+            });
+        }
+    }, function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+test('retries run out', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.1' ]));
+    zk.failRequests(Infinity);
+
+    var client = manatee.createClient({
+        log: LOG,
+        path: SHARD_PATH,
+        retry: { initialDelay: 10, maxDelay: 20, maxAttempts: 2 },
+        zk: {
+            connStr: 'fake',
+            module: zk
+        }
+    });
+    client.once('error', function (err) {
+        t.equal(err.name, 'RetriesExhaustedError');
+        t.equal(VError.info(err).operation, 'getData');
+        t.equal(VError.info(err).attempts, 2);
+        client.close();
+        t.end();
+    });
+});
+
+test('resolver starts over with a new client', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.1' ]));
+    //The first client gives up, and the second gets going after a retry.
+    zk.failRequests(3);
+
+    var resolver = manatee.createPrimaryResolver({
+        log: LOG,
+        path: SHARD_PATH,
+        retry: { initialDelay: 10, maxDelay: 20, maxAttempts: 1 },
+        zk: {
+            connStr: 'fake',
+            module: zk
+        }
+    });
+    resolver.on('added', function (key, backend) {
+        t.equal(backend.address, '10.0.0.1');
+        t.equal(resolver.getLastError().name, 'RetriesExhaustedError');
+
+        //Now it fails for good.
+        resolver.on('error', function (err) {
+            t.equal(err.name, 'RetriesExhaustedError');
+            t.equal(VError.info(err).operation, 'start');
+            t.ok(resolver.isInState('stopped'), 'stopped');
+            replicaStartsOver();
+        });
+        zk.failRequests(Infinity);
+        zk.expireSession();
+    });
+    resolver.start();
+
+    //Clients that fail after getting going don't use up the retries.
+    function replicaStartsOver() {
+        var zk2 = fakezk.createFakeZk();
+        zk2.setClusterState(SHARD_PATH,
+            stateFrom(1, [ '10.0.0.1', '10.0.0.2' ]));
+        var replicas = manatee.createReplicaResolver({
+            log: LOG,
+            path: SHARD_PATH,
+            retry: { initialDelay: 10, maxDelay: 20, maxAttempts: 2 },
+            zk: {
+                connStr: 'fake',
+                module: zk2
+            }
+        });
+        var runs = 0;
+        replicas.on('error', function (err) {
+            t.ifError(err, 'replica resolver gave up');
+        });
+        replicas.on('stateChanged', function (st) {
+            if (st !== 'running') {
+                return;
+            }
+            if (++runs < 5) {
+                setImmediate(function () {
+                    replicas.mpr_manatee.emit('error',
+                        new Error('client failed'));
+                });
+                return;
+            }
+            t.pass('started over ' + (runs - 1) + ' times');
+            replicas.stop();
+            t.end();
+        });
+        replicas.start();
+    }
+});
+
+test('metrics', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.1', '10.0.0.2' ]));
+
+    var client = createClient(zk);
+    var initial = client.getMetrics();
+    t.equal(initial.counters.zk_expirations, 0, 'counters start at 0');
+    t.ok(manatee.formatPrometheus(initial).indexOf(
+        'manatee_watch_errors_total 0\n') !== -1, 'exported before counting');
+    whenReady(client, function () {
+        client.once('recovered', function () {
+            var m = client.getMetrics();
+            t.equal(m.counters.zk_connects, 2, 'connected twice');
+            t.equal(m.counters.zk_expirations, 1, 'expired once');
+            t.equal(m.counters.topology_changes, 1, 'one topology');
+            t.equal(m.counters.primary_changes, 1, 'one primary');
+            t.ok(m.counters.watch_registrations > 0, 'watches registered');
+            t.equal(m.gauges.peers, 2);
+            t.equal(m.gauges.stale, 0);
+            t.ok(m.gauges.seconds_since_confirmed >= 0, 'confirmed');
+
+            var text = manatee.formatPrometheus([ {
+                metrics: m,
+                labels: { shard: '1.moray.test' }
+            } ]);
+            t.ok(text.indexOf('# TYPE manatee_zk_connects_total counter\n' +
+                'manatee_zk_connects_total{shard="1.moray.test"} 2\n') !== -1,
+                'counter exported');
+            t.ok(text.indexOf('manatee_peers{shard="1.moray.test"} 2\n') !==
+                -1, 'gauge exported');
+            client.close();
+            t.end();
+        });
+        zk.expireSession();
+    });
+});
+
+test('resolver metrics', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.1' ]));
+
+    var resolver = manatee.createPrimaryResolver({
+        log: LOG,
+        path: SHARD_PATH,
+        zk: {
+            connStr: 'fake',
+            module: zk
+        }
+    });
+    resolver.on('added', function () {
+        var m = resolver.getMetrics();
+        t.equal(m.counters.resolver_added, 1);
+        t.equal(m.counters.zk_connects, 1, 'client metrics included');
+        t.equal(m.gauges.resolver_backends, 1);
+        t.ok(manatee.formatPrometheus(m).indexOf(
+            'manatee_resolver_state{state="running"} 1\n') !== -1,
+            'state exported as a label');
+        resolver.stop();
+        t.end();
+    });
+    resolver.start();
+});
+
+test('topology history', function (t) {
+    var zk = fakezk.createFakeZk();
+    var file = mod_path.join(mod_os.tmpdir(),
+        'manatee-history-' + process.pid + '.ndjson');
+    zk.addElectionNode(SHARD_PATH, '10.0.0.1:5432:12345:12222');
+    zk.setClusterState(SHARD_PATH, stateFrom(3, [ '10.0.0.1' ]));
+
+    var client = manatee.createClient({
+        log: LOG,
+        path: SHARD_PATH,
+        history: { size: 2, file: file },
+        zk: {
+            connStr: 'fake',
+            module: zk
+        }
+    });
+    vasync.pipeline({
+        'funcs': [
+            function ready(_, cb) {
+                whenReady(client, cb);
+            },
+            function failover(_, cb) {
+                nextTopology(client, function () {
+                    zk.setClusterState(SHARD_PATH,
+                        stateFrom(4, [ '10.0.0.2' ]));
+                }, function () {
+                    return (cb());
+                });
+            },
+            function fallBack(_, cb) {
+                nextTopology(client, function () {
+                    zk.setClusterState(SHARD_PATH, null);
+                }, function () {
+                    return (cb());
+                });
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        var history = client.getHistory();
+        t.equal(history.length, 2, 'bounded');
+        t.equal(history[0].source, 'clusterState');
+        t.equal(history[0].generation, 4);
+        t.equal(typeof (history[0].version), 'number', 'state version');
+        t.deepEqual(history[0].oldTopology, [ pgUrl('10.0.0.1') ]);
+        t.deepEqual(history[0].newTopology, [ pgUrl('10.0.0.2') ]);
+        t.equal(history[1].source, 'election');
+        t.equal(history[1].generation, null);
+        t.ok(history[1].time instanceof Date, 'timestamped');
+
+        client.once('close', function () {
+            //Give the file a moment to be written.  Unlike the history in
+            // memory, it keeps every change.
+            setTimeout(function () {
+                var lines = mod_fs.readFileSync(file, 'utf8').trim().
+                    split('\n').map(JSON.parse);
+                t.equal(lines.length, 3, 'every change persisted');
+                t.equal(lines[2].source, 'election');
+                t.equal(lines[2].time, history[1].time.toISOString());
+                mod_fs.unlinkSync(file);
+                t.end();
+            }, 50);
+        });
+        client.close();
+    });
+});
+
+test('parseElectionNode', function (t) {
+    t.deepEqual(manatee.parseElectionNode(
+        '10.77.77.9:5432:12345:12222-0000000057'), {
+        name: '10.77.77.9:5432:12345:12222-0000000057',
+        id: '10.77.77.9:5432:12345',
+        ip: '10.77.77.9',
+        pgPort: 5432,
+        backupPort: 12345,
+        hbPort: 12222,
+        seq: 57,
+        legacy: false
+    });
+    t.deepEqual(manatee.parseElectionNode('10.77.77.9-0000000003'), {
+        name: '10.77.77.9-0000000003',
+        id: '10.77.77.9',
+        ip: '10.77.77.9',
+        pgPort: null,
+        backupPort: null,
+        hbPort: null,
+        seq: 3,
+        legacy: true
+    });
+    t.end();
+});
+
+test('full election urls', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.addElectionNode(SHARD_PATH, '10.0.0.1:5432:12345:12222');
+    zk.addElectionNode(SHARD_PATH, '10.0.0.2:5432:12345:12222');
+
+    var client = manatee.createClient({
+        log: LOG,
+        path: SHARD_PATH,
+        electionUrls: 'full',
+        zk: {
+            connStr: 'fake',
+            module: zk
+        }
+    });
+    whenReady(client, function () {
+        t.deepEqual(client.topology, [ pgUrl('10.0.0.1'), pgUrl('10.0.0.2') ],
+            'same form as the cluster state');
+        var sync = client.peers[1];
+        t.equal(sync.hbPort, 12222);
+        t.equal(sync.legacy, false);
+        t.ok(sync.seq > client.peers[0].seq, 'ordered by sequence');
+        client.close();
+        t.end();
+    });
+});
+
+test('digest auth is added to every session', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.1' ]));
+    zk.requireAuth('/manatee', 'digest', 'manatee:secret');
+
+    var client = createClient(zk, {
+        zk: {
+            auth: {
+                scheme: 'digest',
+                credentials: 'manatee:secret'
+            }
+        }
+    });
+    whenReady(client, function () {
+        t.deepEqual(client.topology, [ pgUrl('10.0.0.1') ]);
+        client.once('recovered', function () {
+            t.pass('read the shard again after expiry');
+            client.close();
+            t.end();
+        });
+        zk.expireSession();
+    });
+});
+
+test('missing credentials are a ZkAuthError', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.1' ]));
+    zk.requireAuth('/manatee', 'digest', 'manatee:secret');
+
+    var client = createClient(zk);
+    client.once('error', function (err) {
+        t.equal(err.name, 'ZkAuthError');
+        t.equal(VError.info(err).reason, 'NO_AUTH');
+        t.equal(VError.info(err).path, SHARD_PATH + '/state');
+        client.close();
+        t.end();
+    });
+});
+
+test('rejected credentials are a ZkAuthError', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.1' ]));
+
+    var client = createClient(zk, {
+        zk: {
+            auth: [ {
+                scheme: 'sasl',
+                credentials: 'manatee'
+            } ]
+        }
+    });
+    client.once('error', function (err) {
+        t.equal(err.name, 'ZkAuthError');
+        t.equal(VError.info(err).reason, 'authenticationFailed');
+        t.deepEqual(VError.info(err).schemes, [ 'sasl' ]);
+        client.close();
+        t.end();
+    });
+});
+
+test('close cancels retries and calls back', function (t) {
+    var zk = fakezk.createFakeZk();
+    var file = mod_path.join(mod_os.tmpdir(),
+        'manatee-close-' + process.pid + '.ndjson');
+    zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.1' ]));
+
+    var client = manatee.createClient({
+        log: LOG,
+        path: SHARD_PATH,
+        history: { file: file },
+        //Long enough to keep the test running if the retry isn't cancelled.
+        retry: { initialDelay: 60000, maxDelay: 120000 },
+        zk: {
+            connStr: 'fake',
+            module: zk
+        }
+    });
+    whenReady(client, function () {
+        zk.failRequests(Infinity);
+        zk._setData(SHARD_PATH + '/state', new Buffer(JSON.stringify(
+            stateFrom(2, [ '10.0.0.2' ]))));
+        //Wait for the read to fail, leaving a retry pending.
+        setTimeout(function () {
+            t.ok(client.getMetrics().counters.watch_errors > 0, 'retrying');
+            var calls = 0;
+            client.close(function () {
+                calls++;
+            });
+            client.close(function () {
+                t.equal(++calls, 2, 'both callbacks called');
+                t.ok(mod_fs.readFileSync(file, 'utf8').length > 0,
+                    'history written out');
+                mod_fs.unlinkSync(file);
+                t.end();
+            });
+        }, 20);
+    });
+});
+
+test('resolver can stop while starting', function (t) {
+    var zk = fakezk.createFakeZk();
+
+    var resolver = manatee.createPrimaryResolver({
+        log: LOG,
+        path: SHARD_PATH,
+        zk: {
+            connStr: 'fake',
+            module: zk
+        }
+    });
+    zk.disconnect();
+    resolver.start();
+    t.ok(resolver.isInState('starting'), 'starting');
+    //State changes are emitted asynchronously, starting with the initial
+    // stopped state.
+    var stopping = false;
+    resolver.on('stateChanged', function (st) {
+        stopping = stopping || st === 'stopping';
+        if (stopping && st === 'stopped') {
+            t.pass('stopped');
+            //Stopping again is a no-op.
+            resolver.stop();
+            t.ok(resolver.isInState('stopped'));
+            t.end();
+        }
+    });
+    resolver.stop();
+});
+
+test('multi-shard close calls back', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState('/manatee/1.moray', stateFrom(1, [ '10.0.0.1' ]));
+
+    var multi = manatee.createMultiShardClient({
+        log: LOG,
+        root: '/manatee',
+        zk: {
+            connStr: 'fake',
+            module: zk
+        }
+    });
+    multi.once('ready', function () {
+        multi.close(function () {
+            t.pass('closed');
+            t.end();
+        });
+    });
+});
+
+function countBackoffs(c) {
+    return (Object.keys(c._backoffs).reduce(function (n, p) {
+        return (n + c._backoffs[p].length);
+    }, 0));
+}
+
+test('new sessions replace the backoffs of the watches', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState('/manatee/1.moray', stateFrom(1, [ '10.0.0.1' ]));
+
+    var multi = manatee.createMultiShardClient({
+        log: LOG,
+        root: '/manatee',
+        retry: { initialDelay: 1, maxDelay: 2 },
+        zk: {
+            connStr: 'fake',
+            module: zk
+        }
+    });
+    multi.once('ready', function () {
+        var shard = multi._shards['1.moray'];
+        var rootBackoffs = countBackoffs(multi);
+        var shardBackoffs = countBackoffs(shard);
+        var expiries = 0;
+
+        function expire() {
+            if (++expiries > 10) {
+                t.equal(countBackoffs(multi), rootBackoffs, 'root');
+                t.equal(countBackoffs(shard), shardBackoffs, 'shard');
+                multi.close(function () {
+                    t.end();
+                });
+                return;
+            }
+            shard.once('recovered', function () {
+                setImmediate(expire);
+            });
+            zk.expireSession();
+        }
+        expire();
+    });
+});
+
+test('topology cache is written once ready', function (t) {
+    var zk = fakezk.createFakeZk();
+    var file = mod_path.join(mod_os.tmpdir(),
+        'manatee-cache-' + process.pid + '.json');
+    zk.setClusterState(SHARD_PATH, stateFrom(2, [ '10.0.0.1', '10.0.0.2' ]));
+
+    var client = createClient(zk, { cacheFile: file, cacheWindow: 50 });
+    whenReady(client, function () {
+        //Closing waits for the write to finish.
+        client.close(function () {
+            var cache = JSON.parse(mod_fs.readFileSync(file, 'utf8'));
+            t.deepEqual(cache.topology,
+                [ pgUrl('10.0.0.1'), pgUrl('10.0.0.2') ]);
+            t.equal(cache.peers[0].role, 'primary');
+            t.equal(cache.clusterState.generation, 2);
+            t.ok(cache.savedAt, 'timestamped');
+            mod_fs.unlinkSync(file);
+            t.end();
+        });
+    });
+});
+
+test('cold start from the topology cache', function (t) {
+    var zk = fakezk.createFakeZk();
+    var file = mod_path.join(mod_os.tmpdir(),
+        'manatee-cache-' + process.pid + '.json');
+    var savedAt = new Date(Date.now() - 60000);
+    mod_fs.writeFileSync(file, JSON.stringify({
+        savedAt: savedAt,
+        topology: [ pgUrl('10.0.0.1') ],
+        peers: [ { role: 'primary', pgUrl: pgUrl('10.0.0.1') } ],
+        clusterState: stateFrom(1, [ '10.0.0.1' ])
+    }));
+    zk.setClusterState(SHARD_PATH, stateFrom(2, [ '10.0.0.2' ]));
+    zk.disconnect();
+
+    var client = createClient(zk, { cacheFile: file, cacheWindow: 50 });
+    vasync.pipeline({
+        'funcs': [
+            function cached(_, cb) {
+                client.once('ready', function () {
+                    client.once('topology', function (top, info) {
+                        t.deepEqual(top, [ pgUrl('10.0.0.1') ]);
+                        t.ok(info.stale, 'marked stale');
+                        t.equal(info.cachedAt.getTime(), savedAt.getTime());
+                        t.ok(client.isStale, 'stale');
+                        t.equal(client.lastConfirmedAt.getTime(),
+                            savedAt.getTime());
+                    });
+                    client.once('degraded', function (info) {
+                        t.equal(info.reason, 'cache');
+                        return (cb());
+                    });
+                });
+            },
+            function live(_, cb) {
+                client.once('recovered', function () {
+                    t.notOk(client.isStale, 'not stale');
+                    client.once('topology', function (top, info) {
+                        t.deepEqual(top, [ pgUrl('10.0.0.2') ]);
+                        t.equal(info, undefined, 'not marked');
+                        return (cb());
+                    });
+                });
+                zk.reconnect();
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        client.close(function () {
+            var cache = JSON.parse(mod_fs.readFileSync(file, 'utf8'));
+            t.equal(cache.clusterState.generation, 2, 'cache replaced');
+            mod_fs.unlinkSync(file);
+            t.end();
+        });
+    });
+});
+
+test('auto mode reports source changes', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.addElectionNode(SHARD_PATH, '10.0.0.1:5432:12345:12222');
+    zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.2' ]));
+
+    var client = createClient(zk);
+    whenReady(client, function () {
+        t.equal(client.topologySource, 'clusterState');
+        client.once('sourceChanged', function (info) {
+            t.deepEqual(info, { source: 'election',
+                previous: 'clusterState' });
+        });
+        nextTopology(client, function () {
+            zk.setClusterState(SHARD_PATH, null);
+        }, function (top) {
+            t.deepEqual(top, [ u('10.0.0.1') ]);
+            t.equal(client.topologySource, 'election');
+            client.close();
+            t.end();
+        });
+    });
+});
+
+test('state mode never falls back to the election', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.addElectionNode(SHARD_PATH, '10.0.0.1:5432:12345:12222');
+    zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.2' ]));
+
+    var client = createClient(zk, { mode: 'state' });
+    var sources = [];
+    client.on('sourceChanged', function (info) {
+        sources.push(info);
+    });
+    vasync.pipeline({
+        'funcs': [
+            function ready(_, cb) {
+                whenReady(client, cb);
+            },
+            function removeState(_, cb) {
+                nextTopology(client, function () {
+                    zk.setClusterState(SHARD_PATH, null);
+                }, function (top) {
+                    t.deepEqual(top, [], 'no primary');
+                    t.equal(client.topologySource, null);
+                    return (cb());
+                });
+            },
+            function electionChange(_, cb) {
+                zk.addElectionNode(SHARD_PATH, '10.0.0.3:5432:12345:12222');
+                setImmediate(function () {
+                    t.deepEqual(client.topology, [], 'election ignored');
+                    return (cb());
+                });
+            },
+            function restoreState(_, cb) {
+                nextTopology(client, function () {
+                    zk.setClusterState(SHARD_PATH, stateFrom(2,
+                        [ '10.0.0.3' ]));
+                }, function (top) {
+                    t.deepEqual(top, [ pgUrl('10.0.0.3') ]);
+                    return (cb());
+                });
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        t.deepEqual(sources, [
+            { source: null, previous: 'clusterState' },
+            { source: 'clusterState', previous: null }
+        ]);
+        client.close();
+        t.end();
+    });
+});
+
+test('election mode ignores the cluster state', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.addElectionNode(SHARD_PATH, '10.0.0.1:5432:12345:12222');
+    zk.addElectionNode(SHARD_PATH, '10.0.0.2:5432:12345:12222');
+    zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.2' ]));
+
+    var client = createClient(zk, { mode: 'election' });
+
+    function changeState() {
+        client.once('topology', function () {
+            t.fail('topology changed with the cluster state');
+        });
+        client.once('clusterState', function (cs) {
+            t.equal(cs.generation, 2);
+            client.removeAllListeners('topology');
+            nextTopology(client, function () {
+                zk.removeElectionNode(SHARD_PATH,
+                    '10.0.0.1:5432:12345:12222');
+            }, function (top) {
+                t.deepEqual(top, [ u('10.0.0.2') ]);
+                client.close();
+                t.end();
+            });
+        });
+        zk.setClusterState(SHARD_PATH, stateFrom(2, [ '10.0.0.1' ]));
+    }
+
+    whenReady(client, function () {
+        t.deepEqual(client.topology, [ u('10.0.0.1'), u('10.0.0.2') ]);
+        t.equal(client.topologySource, 'election');
+        t.equal(client.clusterState.generation, 1, 'state still read');
+        //Skip the initial clusterState, emitted after the topology.
+        client.once('clusterState', changeState);
+    });
+});
+
+test('divergence between the cluster state and the election', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.addElectionNode(SHARD_PATH, '10.0.0.1:5432:12345:12222');
+    zk.addElectionNode(SHARD_PATH, '10.0.0.2:5432:12345:12222');
+    zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.1', '10.0.0.2' ]));
+
+    var client = createClient(zk);
+    vasync.pipeline({
+        'funcs': [
+            function ready(_, cb) {
+                whenReady(client, cb);
+            },
+            function agree(_, cb) {
+                t.equal(client.divergence, null, 'no divergence');
+                t.deepEqual(client.peers.map(function (p) {
+                    return (p.active);
+                }), [ true, true ], 'all active');
+                return (cb());
+            },
+            function primaryGone(_, cb) {
+                client.once('divergence', function (info) {
+                    t.equal(info.generation, 1);
+                    t.deepEqual(info.missing.map(function (p) {
+                        return (p.role + ' ' + p.ip);
+                    }), [ 'primary 10.0.0.1' ]);
+                    t.deepEqual(info.unknown, []);
+                    t.equal(client.peers[0].active, false, 'not active');
+                    t.deepEqual(client.topology,
+                        [ pgUrl('10.0.0.1'), pgUrl('10.0.0.2') ],
+                        'topology unchanged');
+                    return (cb());
+                });
+                zk.removeElectionNode(SHARD_PATH, '10.0.0.1:5432:12345:12222');
+            },
+            function unknownPeer(_, cb) {
+                client.once('divergence', function (info) {
+                    t.equal(info.missing.length, 1, 'still missing');
+                    t.deepEqual(info.unknown.map(function (n) {
+                        return (n.id);
+                    }), [ '10.0.0.3:5432:12345' ]);
+                    return (cb());
+                });
+                zk.addElectionNode(SHARD_PATH, '10.0.0.3:5432:12345:12222');
+            },
+            function takeover(_, cb) {
+                client.once('divergence', function (info) {
+                    t.equal(info, null, 'agree again');
+                    t.equal(client.divergence, null);
+                    return (cb());
+                });
+                zk.setClusterState(SHARD_PATH,
+                    stateFrom(2, [ '10.0.0.2', '10.0.0.3' ]));
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        client.close();
+        t.end();
+    });
+});
+
+test('clients share a managed session', function (t) {
+    var zk = fakezk.createFakeZk();
+    var OTHER_PATH = '/manatee/2.moray.test';
+    zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.1' ]));
+    zk.setClusterState(OTHER_PATH, stateFrom(1, [ '10.0.1.1' ]));
+
+    var conns = manatee.createZkConnectionManager({ log: LOG });
+    var clients = [ SHARD_PATH, OTHER_PATH ].map(function (path) {
+        return (manatee.createClient({
+            log: LOG,
+            path: path,
+            zkConnection: conns,
+            zk: {
+                connStr: 'fake',
+                module: zk
+            }
+        }));
+    });
+    vasync.pipeline({
+        'funcs': [
+            function ready(_, cb) {
+                vasync.forEachParallel({
+                    'inputs': clients,
+                    'func': whenReady
+                }, cb);
+            },
+            function shared(_, cb) {
+                var sessions = conns.getSessions();
+                t.equal(sessions.length, 1, 'one session');
+                t.equal(sessions[0].clients, 2);
+                t.ok(sessions[0].connected);
+                t.equal(clients[0]._zk, clients[1]._zk, 'same zk client');
+                return (cb());
+            },
+            function expire(_, cb) {
+                //Both clients set up their watches again on the new session.
+                zk.expireSession();
+                vasync.forEachParallel({
+                    'inputs': [ [ clients[0], SHARD_PATH, '10.0.0.2' ],
+                        [ clients[1], OTHER_PATH, '10.0.1.2' ] ],
+                    'func': function (args, subcb) {
+                        nextTopology(args[0], function () {
+                            zk.setClusterState(args[1],
+                                stateFrom(2, [ args[2] ]));
+                        }, function (top) {
+                            t.deepEqual(top, [ pgUrl(args[2]) ]);
+                            return (subcb());
+                        });
+                    }
+                }, cb);
+            },
+            function closeOne(_, cb) {
+                clients[0].close(function () {
+                    t.equal(conns.getSessions()[0].clients, 1);
+                    return (cb());
+                });
+            },
+            function closeLast(_, cb) {
+                clients[1].close(function () {
+                    t.deepEqual(conns.getSessions(), [], 'session closed');
+                    return (cb());
+                });
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+test('settleMs coalesces the steps of a takeover', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState(SHARD_PATH,
+        stateFrom(1, [ '10.0.0.1', '10.0.0.2', '10.0.0.3' ]));
+
+    var client = createClient(zk, { settleMs: 100 });
+    var events = [];
+    vasync.pipeline({
+        'funcs': [
+            function ready(_, cb) {
+                whenReady(client, cb);
+            },
+            function takeover(_, cb) {
+                client.on('topologyPending', function (pending) {
+                    events.push('pending ' + pending);
+                    if (!pending) {
+                        t.deepEqual(events, [ 'pending true', 3,
+                            'pending false' ], 'one change');
+                        client.removeAllListeners('topologyPending');
+                        client.removeAllListeners('topology');
+                        return (cb());
+                    }
+                    return (undefined);
+                });
+                client.on('topology', function (top) {
+                    events.push(top.length);
+                    t.deepEqual(top, [ pgUrl('10.0.0.2'), pgUrl('10.0.0.3'),
+                        pgUrl('10.0.0.4') ]);
+                    t.deepEqual(client.topology, top);
+                });
+                zk.setClusterState(SHARD_PATH,
+                    stateFrom(2, [ '10.0.0.2' ]));
+                setTimeout(function () {
+                    zk.setClusterState(SHARD_PATH,
+                        stateFrom(2, [ '10.0.0.2', '10.0.0.3' ]));
+                    t.equal(client.topology.length, 3, 'held');
+                }, 20);
+                setTimeout(function () {
+                    zk.setClusterState(SHARD_PATH, stateFrom(2,
+                        [ '10.0.0.2', '10.0.0.3', '10.0.0.4' ]));
+                }, 40);
+            },
+            function flapBack(_, cb) {
+                events = [];
+                client.on('topology', function (top) {
+                    events.push(top);
+                });
+                client.once('topologyPending', function () {
+                    client.once('topologyPending', function (pending) {
+                        t.equal(pending, false);
+                        t.deepEqual(events, [], 'nothing emitted');
+                        return (cb());
+                    });
+                });
+                zk.setClusterState(SHARD_PATH, stateFrom(3, [ '10.0.0.3' ]));
+                setTimeout(function () {
+                    zk.setClusterState(SHARD_PATH, stateFrom(3,
+                        [ '10.0.0.2', '10.0.0.3', '10.0.0.4' ]));
+                }, 20);
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        client.close();
+        t.end();
+    });
+});
+
+test('settleMaxMs limits how long changes are held', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.1' ]));
+
+    var client = createClient(zk, { settleMs: 100, settleMaxMs: 200 });
+    whenReady(client, function () {
+        var changes = 0;
+        //Keep the topology changing for longer than settleMaxMs.
+        var interval = setInterval(function () {
+            changes++;
+            zk.setClusterState(SHARD_PATH,
+                stateFrom(changes + 1, [ '10.0.1.' + changes ]));
+            if (changes === 20) {
+                clearInterval(interval);
+            }
+        }, 40);
+        client.once('topology', function () {
+            t.ok(changes < 20, 'emitted while still changing');
+            clearInterval(interval);
+            client.close();
+            t.end();
+        });
+    });
+});
+
+test('waitFor', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.1' ]));
+
+    var client = createClient(zk);
+    vasync.pipeline({
+        'funcs': [
+            function beforeReady(_, cb) {
+                client.waitFor({ hasPrimary: true }, function (err, peers) {
+                    t.ifError(err);
+                    t.equal(peers[0].ip, '10.0.0.1', 'waits for ready');
+                    return (cb());
+                });
+            },
+            function alreadyHolds(_, cb) {
+                var called = false;
+                var spec = { primaryIs: '10.0.0.1', minPeers: 1 };
+                client.waitFor(spec, function (err) {
+                    t.ifError(err);
+                    t.ok(called, 'called back asynchronously');
+                    return (cb());
+                });
+                called = true;
+            },
+            function takeover(_, cb) {
+                client.waitFor({
+                    hasSync: true,
+                    primaryIs: pgUrl('10.0.0.2')
+                }, { timeout: 5000 }, function (err, peers) {
+                    t.ifError(err);
+                    t.equal(peers[1].ip, '10.0.0.3');
+                    return (cb());
+                });
+                zk.setClusterState(SHARD_PATH, stateFrom(2, [ '10.0.0.2' ]));
+                setTimeout(function () {
+                    zk.setClusterState(SHARD_PATH,
+                        stateFrom(3, [ '10.0.0.2', '10.0.0.3' ]));
+                }, 20);
+            },
+            function predicate(_, cb) {
+                client.waitFor(function (peers, cs) {
+                    return (cs !== null && cs.generation > 3);
+                }, function (err) {
+                    t.ifError(err);
+                    t.equal(client.clusterState.generation, 4);
+                    return (cb());
+                });
+                zk.setClusterState(SHARD_PATH,
+                    stateFrom(4, [ '10.0.0.2', '10.0.0.3' ]));
+            },
+            function timesOut(_, cb) {
+                var spec = { minPeers: 3 };
+                client.waitFor(spec, { timeout: 50 }, function (err) {
+                    t.equal(err.name, 'WaitForTimeoutError');
+                    t.deepEqual(VError.info(err).spec, spec);
+                    t.equal(client.listeners('peers').length, 0,
+                        'no leaked listeners');
+                    return (cb());
+                });
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        t.throws(function () {
+            client.waitFor({ hasQuorum: true }, function () {});
+        }, /unknown condition/);
+        client.waitFor({ minPeers: 3 }, function (err2) {
+            t.equal(err2.name, 'ClientClosedError');
+            t.end();
+        });
+        client.close();
+    });
+});
+
+/**
+ * GETs a path from a status server, and calls back with the status code and
+ * the parsed body.
+ */
+function getStatus(server, path, cb) {
+    http.get({
+        host: server.address.address,
+        port: server.address.port,
+        path: path
+    }, function (res) {
+        var body = '';
+        res.setEncoding('utf8');
+        res.on('data', function (d) {
+            body += d;
+        });
+        res.on('end', function () {
+            return (cb(res.statusCode, JSON.parse(body)));
+        });
+    });
+}
+
+test('status server', function (t) {
+    var zk = fakezk.createFakeZk();
+    zk.setClusterState(SHARD_PATH, stateFrom(1, [ '10.0.0.1', '10.0.0.2' ]));
+
+    var client = createClient(zk);
+    var resolver = manatee.createPrimaryResolver({
+        log: LOG,
+        path: SHARD_PATH,
+        zk: {
+            connStr: 'fake',
+            module: zk
+        }
+    });
+    var server;
+    vasync.pipeline({
+        'funcs': [
+            function ready(_, cb) {
+                whenReady(client, cb);
+            },
+            function listen(_, cb) {
+                //No port listens on any free one.
+                server = client.startStatusServer({}, cb);
+            },
+            function index(_, cb) {
+                getStatus(server, '/', function (code, body) {
+                    t.equal(code, 200);
+                    t.deepEqual(body, {
+                        shards: [ '1.moray.test' ],
+                        resolvers: []
+                    });
+                    return (cb());
+                });
+            },
+            function shard(_, cb) {
+                getStatus(server, '/shards/1.moray.test', function (code, s) {
+                    t.equal(code, 200);
+                    t.deepEqual(s.topology,
+                        [ pgUrl('10.0.0.1'), pgUrl('10.0.0.2') ]);
+                    t.equal(s.source, 'zookeeper');
+                    t.equal(s.topologySource, 'clusterState');
+                    t.equal(s.clusterState.generation, 1);
+                    t.equal(s.zk.state, 'connected');
+                    t.equal(typeof (s.zk.sessionId), 'string');
+                    t.ok(s.watches.length > 0 && s.watches.every(function (w) {
+                        return (w.registered);
+                    }), 'watches registered');
+                    t.equal(s.lastError, null);
+                    t.ok(s.history.length > 0, 'history included');
+                    return (cb());
+                });
+            },
+            function lastError(_, cb) {
+                client.once('error', function () {
+                    getStatus(server, '/shards/1.moray.test',
+                        function (code, s) {
+                        t.equal(s.lastError.name, 'ClusterStateParseError');
+                        t.ok(s.lastError.time, 'error time included');
+                        return (cb());
+                    });
+                });
+                zk._setData(SHARD_PATH + '/state', new Buffer('{'));
+            },
+            function notFound(_, cb) {
+                getStatus(server, '/shards/2.moray.test', function (code) {
+                    t.equal(code, 404);
+                    return (cb());
+                });
+            },
+            function resolverStatus(_, cb) {
+                zk.setClusterState(SHARD_PATH,
+                    stateFrom(2, [ '10.0.0.1', '10.0.0.2' ]));
+                resolver.once('added', function () {
+                    resolver.startStatusServer({ server: server },
+                        function () {
+                        getStatus(server, '/resolvers/primary-1.moray.test',
+                            function (code, s) {
+                            t.equal(code, 200);
+                            t.equal(s.state, 'running');
+                            t.equal(Object.keys(s.backends).length, 1);
+                            t.equal(s.client.shard, '1.moray.test');
+                            return (cb());
+                        });
+                    });
+                });
+                resolver.start();
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        resolver.stop();
+        client.close(function () {
+            t.equal(server.address, null, 'server closed with the client');
+            t.end();
+        });
+    });
+});